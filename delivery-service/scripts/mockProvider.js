@@ -0,0 +1,73 @@
+import express from "express";
+import { randomUUID } from "crypto";
+
+// Minimal stand-in for an SMS/WhatsApp HTTP provider, for local testing of the
+// HTTP adapter. Set MOCK_FAILURE_RATE to make a share of requests fail with 503.
+// Accepted messages get a delivery receipt posted to MOCK_RECEIPT_URL ("off"
+// disables it); MOCK_UNDELIVERABLE_RATE makes a share of them undeliverable.
+const PORT = process.env.MOCK_PROVIDER_PORT || 4010;
+const FAILURE_RATE = parseFloat(process.env.MOCK_FAILURE_RATE ?? "0");
+const RECEIPT_URL =
+  process.env.MOCK_RECEIPT_URL || "http://localhost:4001/receipts/http";
+const RECEIPT_DELAY_MS = parseInt(process.env.MOCK_RECEIPT_DELAY_MS) || 1000;
+const RECEIPT_ATTEMPTS = 3;
+const UNDELIVERABLE_RATE = parseFloat(
+  process.env.MOCK_UNDELIVERABLE_RATE ?? "0"
+);
+
+const app = express();
+app.use(express.json());
+
+app.post("/:channel/messages", (req, res) => {
+  const { to, body, messageId } = req.body;
+
+  if (!to || !body) {
+    return res.status(400).json({ error: "to and body are required" });
+  }
+
+  if (Math.random() < FAILURE_RATE) {
+    return res.status(503).json({ error: "Mock provider unavailable" });
+  }
+
+  const id = `mock_${randomUUID()}`;
+  console.log(
+    JSON.stringify({ channel: req.params.channel, id, to, messageId, body })
+  );
+  res.status(202).json({ id, status: "accepted" });
+
+  if (RECEIPT_URL !== "off") {
+    setTimeout(() => postReceipt(id), RECEIPT_DELAY_MS);
+  }
+});
+
+// Like real providers, a receipt answered with a 503 is resent
+async function postReceipt(
+  id,
+  receipt = Math.random() < UNDELIVERABLE_RATE
+    ? { id, status: "undelivered", errorCode: "30003", error: "Unreachable" }
+    : { id, status: "delivered" },
+  attempt = 1
+) {
+  try {
+    const response = await fetch(RECEIPT_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-receipt-token": process.env.RECEIPT_TOKEN || "",
+      },
+      body: JSON.stringify({ ...receipt, timestamp: new Date().toISOString() }),
+      signal: AbortSignal.timeout(5000),
+    });
+    console.log(`Receipt ${receipt.status} for ${id}: HTTP ${response.status}`);
+
+    if (response.status === 503 && attempt < RECEIPT_ATTEMPTS) {
+      setTimeout(() => postReceipt(id, receipt, attempt + 1), RECEIPT_DELAY_MS);
+    }
+  } catch (error) {
+    console.log(`Receipt for ${id} failed: ${error.message}`);
+  }
+}
+
+app.listen(PORT, () => {
+  console.log(`Mock provider listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,60 @@
+import express from "express";
+import { createHmac, timingSafeEqual } from "crypto";
+
+// Local webhook receiver for testing. Verifies the X-Webhook-Signature of each
+// event with WEBHOOK_SECRET (as returned when the webhook was created) and
+// prints it. Set RECEIVER_FAILURE_RATE to make a share of requests fail with
+// 500 and exercise the retries.
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 4020;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAILURE_RATE = parseFloat(process.env.RECEIVER_FAILURE_RATE ?? "0");
+const TOLERANCE_SECONDS = 300;
+
+const app = express();
+
+// Keep the raw body; the signature is computed over the exact bytes sent
+app.use(express.raw({ type: "application/json" }));
+
+app.post("/webhooks", (req, res) => {
+  const body = req.body.toString();
+  const timestamp = req.get("X-Webhook-Timestamp");
+  const signature = req.get("X-Webhook-Signature") || "";
+
+  let verified = "skipped (WEBHOOK_SECRET not set)";
+  if (SECRET) {
+    const expected = `sha256=${createHmac("sha256", SECRET)
+      .update(`${timestamp}.${body}`)
+      .digest("hex")}`;
+    const fresh =
+      Math.abs(Date.now() / 1000 - parseInt(timestamp)) < TOLERANCE_SECONDS;
+    const valid =
+      expected.length === signature.length &&
+      timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+
+    if (!valid || !fresh) {
+      console.log(`Rejected ${req.get("X-Webhook-Delivery")}: bad signature`);
+      return res.status(401).json({ error: "Invalid signature" });
+    }
+    verified = "ok";
+  }
+
+  if (Math.random() < FAILURE_RATE) {
+    return res.status(500).json({ error: "Mock receiver failure" });
+  }
+
+  console.log(
+    JSON.stringify({
+      event: req.get("X-Webhook-Event"),
+      delivery: req.get("X-Webhook-Delivery"),
+      signature: verified,
+      payload: JSON.parse(body),
+    })
+  );
+  res.sendStatus(204);
+});
+
+app.listen(PORT, () => {
+  console.log(
+    `Webhook receiver listening on http://localhost:${PORT}/webhooks`
+  );
+});
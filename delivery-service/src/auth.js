@@ -0,0 +1,45 @@
+import {
+  apiKeyModel,
+  createApiKeyResolver,
+  extractApiKey,
+  hasScope,
+} from "@communication-aggregator/shared";
+import mongoose from "mongoose";
+import { logger } from "./logger.js";
+
+const CACHE_TTL_MS = parseInt(process.env.API_KEY_CACHE_TTL_MS) || 10000;
+const CACHE_MAX_ENTRIES =
+  parseInt(process.env.API_KEY_CACHE_MAX_ENTRIES) || 10000;
+
+// Keys are issued by task-router-service; this service only resolves them
+const apiKeys = createApiKeyResolver(apiKeyModel(mongoose), {
+  ttlMs: CACHE_TTL_MS,
+  maxEntries: CACHE_MAX_ENTRIES,
+});
+
+// Express middleware that resolves the API key from "Authorization: Bearer"
+// or "x-api-key" and requires the given scope ("admin" implies every scope).
+// Sets req.auth to { keyId, tenantId, scopes }.
+export function requireScope(scope) {
+  return async (req, res, next) => {
+    try {
+      const auth = await apiKeys.resolve(extractApiKey(req.headers));
+
+      if (!auth) {
+        return res.status(401).json({ error: "A valid API key is required" });
+      }
+
+      if (!hasScope(auth, scope)) {
+        return res
+          .status(403)
+          .json({ error: `API key lacks the "${scope}" scope` });
+      }
+
+      req.auth = auth;
+      next();
+    } catch (error) {
+      logger.error("Error resolving API key", { error: error.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
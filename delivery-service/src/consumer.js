@@ -1,32 +1,75 @@
+import {
+  CHANNELS,
+  PRIORITIES,
+  QUEUES,
+  SpanKind,
+  createQueueMessage,
+  currentSpanId,
+  extractContext,
+  failLiveness,
+  failSpan,
+  injectContext,
+  laneQueue,
+  publishLogEvents,
+  readQueueMessage,
+  waitUntil,
+} from "@communication-aggregator/shared";
+import { context, trace } from "@opentelemetry/api";
 import amqp from "amqplib";
 import { Kafka } from "kafkajs";
-import {
-  handleEmailDelivery,
-  handleSMSDelivery,
-  handleWhatsAppDelivery,
-} from "./deliveryHandlers.js";
+import { storeDeadLetter } from "./deadLetters.js";
+import { deliverMessage } from "./deliveryHandlers.js";
+import { fallBack, hasNextStep, isSupersededStep } from "./fallback.js";
+import { LANE_PREFETCH } from "./lanes.js";
 import { logger } from "./logger.js";
+import { appendMessageEvents, messageEvent } from "./messageEvents.js";
+import {
+  kafkaLogFailures,
+  messagesDeadLettered,
+  retriesScheduled,
+} from "./metrics.js";
+import { createProviders } from "./providers/index.js";
+import {
+  MAX_RETRIES,
+  getRetryCount,
+  getRetryDelay,
+  retryQueueName,
+} from "./retryPolicy.js";
+import { throttleDelivery } from "./throttle.js";
+import { withSpan } from "./tracing.js";
+import { emitWebhookEvent } from "./webhooks.js";
 
 const RABBITMQ_URL = process.env.RABBITMQ_URL || "amqp://localhost:5672";
 const KAFKA_BROKER = process.env.KAFKA_BROKER || "localhost:9092";
 
 let kafkaProducer;
+let connection;
+let consumeChannel;
+let publishChannel;
+let rabbitReady = false;
+let kafkaReady = false;
+let stopping = false;
 
-const QUEUES = {
-  email: "email_queue",
-  sms: "sms_queue",
-  whatsapp: "whatsapp_queue",
-  dlq: "dead_letter_queue",
-};
+// Consumers to cancel on shutdown, and messages still being processed
+const consumerTags = [];
+let inFlight = 0;
 
-const HANDLERS = {
-  email: handleEmailDelivery,
-  sms: handleSMSDelivery,
-  whatsapp: handleWhatsAppDelivery,
-};
+// Ordered provider lists per channel, populated from configuration in
+// initializeConsumers()
+const HANDLERS = {};
 
 export async function initializeConsumers() {
   try {
+    for (const channelType of CHANNELS) {
+      HANDLERS[channelType] = createProviders(channelType, {
+        onBreakerStateChange: logBreakerStateChange,
+      });
+      logger.info("Delivery providers configured", {
+        channel: channelType,
+        providers: HANDLERS[channelType].map(({ provider }) => provider.name),
+      });
+    }
+
     // Initialize Kafka producer
     const kafka = new Kafka({
       clientId: "delivery-service",
@@ -38,31 +81,99 @@ export async function initializeConsumers() {
     });
 
     kafkaProducer = kafka.producer();
+    kafkaProducer.on(kafkaProducer.events.CONNECT, () => {
+      kafkaReady = true;
+    });
+    kafkaProducer.on(kafkaProducer.events.DISCONNECT, () => {
+      kafkaReady = false;
+    });
     await kafkaProducer.connect();
     logger.info("Kafka producer connected");
 
     // Connect to RabbitMQ
-    const connection = await amqp.connect(RABBITMQ_URL);
+    connection = await amqp.connect(RABBITMQ_URL);
     const channel = await connection.createChannel();
+    consumeChannel = channel;
+    rabbitReady = true;
+
+    connection.on("error", (err) => {
+      logger.error("RabbitMQ connection error", { error: err.message });
+    });
+
+    // Retries and replays are published on a confirm channel so a message is
+    // only acked once its copy is safely on the broker
+    publishChannel = await connection.createConfirmChannel();
 
-    // Set prefetch to process one message at a time
-    await channel.prefetch(1);
+    // Closed connections and channels are not reopened, and the consumers
+    // stop with them, so the process has to be restarted
+    for (const closable of [connection, consumeChannel, publishChannel]) {
+      closable.on("close", onRabbitClose);
+    }
 
-    // Start consumers for each queue
+    // Declare the per-attempt retry queues of every lane
     for (const [channelType, queueName] of Object.entries(QUEUES)) {
-      if (channelType === "dlq") continue; // Skip DLQ for now
-
-      await channel.consume(
-        queueName,
-        async (msg) => {
-          if (msg) {
-            await processMessage(channel, msg, channelType);
-          }
-        },
-        { noAck: false }
-      );
+      if (channelType === "dlq") continue;
+
+      for (const priority of PRIORITIES) {
+        const lane = laneQueue(queueName, priority);
+        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+          await channel.assertQueue(retryQueueName(lane, attempt), {
+            durable: true,
+            arguments: {
+              "x-dead-letter-exchange": "",
+              "x-dead-letter-routing-key": lane,
+            },
+          });
+        }
+      }
+    }
 
-      logger.info(`Started consumer for ${queueName}`);
+    // Start consumers for each queue. Prefetch applies per consumer, so each
+    // priority lane gets its own share of in-flight messages.
+    for (const [channelType, queueName] of Object.entries(QUEUES)) {
+      if (channelType === "dlq") {
+        await channel.prefetch(1);
+        const { consumerTag } = await channel.consume(
+          queueName,
+          async (msg) => {
+            if (msg) {
+              await track(() =>
+                consumeInSpan(queueName, msg, () =>
+                  processDeadLetter(channel, msg)
+                )
+              );
+            }
+          },
+          { noAck: false }
+        );
+        consumerTags.push(consumerTag);
+
+        logger.info(`Started consumer for ${queueName}`);
+        continue;
+      }
+
+      for (const priority of PRIORITIES) {
+        const lane = laneQueue(queueName, priority);
+        await channel.prefetch(LANE_PREFETCH[priority]);
+        const { consumerTag } = await channel.consume(
+          lane,
+          async (msg) => {
+            if (msg) {
+              await track(() =>
+                consumeInSpan(lane, msg, () =>
+                  processMessage(channel, msg, channelType)
+                )
+              );
+            }
+          },
+          { noAck: false }
+        );
+        consumerTags.push(consumerTag);
+
+        logger.info(`Started consumer for ${lane}`, {
+          prefetch: LANE_PREFETCH[priority],
+        });
+      }
     }
 
     logger.info("All consumers initialized");
@@ -74,18 +185,38 @@ export async function initializeConsumers() {
 
 async function processMessage(channel, msg, channelType) {
   const startTime = Date.now();
+  // Each delivery attempt is a span; its ID is the attempt's subtrace
+  const subtraceId = currentSpanId();
   let message;
 
   try {
     message = JSON.parse(msg.content.toString());
-    const { messageId, traceId, retryCount = 0, maxRetries = 3 } = message;
-    const subtraceId = `subtrace_${Date.now()}`;
+    message.tenantId ??= msg.properties.headers?.["x-tenant-id"];
+    // Upgrades older versions; an unknown version or a message that does not
+    // match its schema is dead-lettered without retries
+    message = readQueueMessage(message);
+    const { messageId, tenantId, traceId, priority } = message;
+    const retryCount = getRetryCount(msg, message);
+    message.retryCount = retryCount;
+
+    // A retry of a step that already fell back to the next channel
+    if (await isSupersededStep(message)) {
+      logger.info("Skipping superseded fallback step", {
+        messageId,
+        traceId,
+        channelType,
+        fallbackStep: message.fallbackStep || 0,
+      });
+      channel.ack(msg);
+      return;
+    }
 
     logger.info("Processing message", {
       messageId,
       traceId,
       subtraceId,
       channelType,
+      priority,
       retryCount,
     });
 
@@ -94,6 +225,8 @@ async function processMessage(channel, msg, channelType) {
       service: "delivery",
       level: "info",
       message: "Started message delivery",
+      status: "processing",
+      tenantId,
       traceId,
       subtraceId,
       messageId,
@@ -102,86 +235,303 @@ async function processMessage(channel, msg, channelType) {
       timestamp: new Date().toISOString(),
     });
 
-    // Get appropriate handler
-    const handler = HANDLERS[channelType];
-    if (!handler) {
-      throw new Error(`No handler found for channel: ${channelType}`);
+    // Get the channel's providers
+    const providers = HANDLERS[channelType];
+    if (!providers || providers.length === 0) {
+      throw new Error(`No providers configured for channel: ${channelType}`);
     }
 
-    // Attempt delivery with retry logic
-    const result = await deliverWithRetry(
-      handler,
+    // Wait for the channel's provider throughput to allow another send
+    await throttleDelivery(channelType);
+
+    // Attempt delivery; failures are retried through the delay queues
+    const result = await deliverMessage(
+      channelType,
+      providers,
       message,
-      retryCount,
-      maxRetries
+      subtraceId
     );
 
+    // Already delivered (or further along); this copy is dropped
+    if (result.skipped) {
+      channel.ack(msg);
+      return;
+    }
+
     if (result.success) {
       // Acknowledge message
       channel.ack(msg);
 
       const duration = Date.now() - startTime;
+      const summary =
+        result.status === "sent"
+          ? "Message sent to provider"
+          : "Message delivered successfully";
 
       // Log success
       await sendLog({
         service: "delivery",
         level: "info",
-        message: "Message delivered successfully",
+        message: summary,
+        status: result.status,
+        tenantId,
         traceId,
         subtraceId,
         messageId,
         channel: channelType,
+        provider: result.provider,
+        providerMessageId: result.providerMessageId,
+        breakerState: result.breakerState,
+        providerAttempts: result.attempts,
         duration: `${duration}ms`,
         timestamp: new Date().toISOString(),
       });
 
-      logger.info("Message delivered successfully", {
+      logger.info(summary, {
         messageId,
         traceId,
         subtraceId,
         channelType,
+        provider: result.provider,
         duration: `${duration}ms`,
       });
+
+      await emitWebhookEvent(`message.${result.status}`, {
+        tenantId,
+        messageId,
+        traceId,
+        channel: channelType,
+        recipient: message.recipient,
+        status: result.status,
+        provider: result.provider,
+        providerMessageId: result.providerMessageId,
+        retryCount,
+        timestamp: new Date().toISOString(),
+      });
     } else {
-      throw new Error(result.error || "Delivery failed");
+      const error = new Error(result.error || "Delivery failed");
+      error.retryable = result.retryable !== false;
+      error.provider = result.provider;
+      error.errorCode = result.errorCode;
+      error.providerAttempts = result.attempts;
+      throw error;
     }
   } catch (error) {
-    await handleDeliveryError(channel, msg, message, channelType, error);
+    await handleDeliveryError(
+      channel,
+      msg,
+      message,
+      channelType,
+      error,
+      subtraceId
+    );
   }
 }
 
-async function deliverWithRetry(handler, message, retryCount, maxRetries) {
-  const delays = [1000, 2000, 4000]; // Exponential backoff
-
+async function processDeadLetter(channel, msg) {
   try {
-    const result = await handler(message);
-    return result;
-  } catch (error) {
-    if (retryCount < maxRetries) {
-      const delay = delays[retryCount] || delays[delays.length - 1];
+    // Messages with a fallback chain move on to the next channel instead.
+    // They are never stored as dead letters as well, including when another
+    // path (e.g. the timeout sweeper) moved the step on first.
+    const payload = parseJSON(msg.content.toString());
+    if (
+      hasNextStep(payload) &&
+      ((await fallBack(
+        payload.messageId,
+        payload.fallbackStep || 0,
+        "failed"
+      )) ||
+        (await isSupersededStep(payload)))
+    ) {
+      channel.ack(msg);
+      return;
+    }
 
-      logger.warn("Delivery failed, retrying...", {
-        messageId: message.messageId,
-        retryCount,
-        delay: `${delay}ms`,
-        error: error.message,
-      });
+    const deadLetter = await storeDeadLetter(msg);
+
+    await appendMessageEvents(deadLetter.messageId, [
+      messageEvent("dead_lettered", {
+        channel: deadLetter.channel,
+        errorCode: deadLetter.errorCode,
+        error: deadLetter.failureReason,
+        detail: {
+          deadLetterId: deadLetter.deadLetterId,
+          deathReason: deadLetter.deathReason,
+        },
+      }),
+    ]);
+
+    await sendLog({
+      service: "delivery",
+      level: "error",
+      message: "Dead-lettered message stored",
+      status: "failed",
+      tenantId: deadLetter.tenantId,
+      traceId: deadLetter.traceId,
+      messageId: deadLetter.messageId,
+      channel: deadLetter.channel,
+      deadLetterId: deadLetter.deadLetterId,
+      error: deadLetter.failureReason,
+      timestamp: new Date().toISOString(),
+    });
 
-      await new Promise((resolve) => setTimeout(resolve, delay));
+    await emitWebhookEvent("message.dead_lettered", {
+      tenantId: deadLetter.tenantId,
+      messageId: deadLetter.messageId,
+      traceId: deadLetter.traceId,
+      channel: deadLetter.channel,
+      recipient: deadLetter.payload?.recipient,
+      status: "failed",
+      deadLetterId: deadLetter.deadLetterId,
+      error: deadLetter.failureReason,
+      errorCode: deadLetter.errorCode,
+      timestamp: new Date().toISOString(),
+    });
 
-      // Increment retry count
-      message.retryCount = retryCount + 1;
+    channel.ack(msg);
+  } catch (error) {
+    logger.error("Failed to store dead letter", { error: error.message });
+    // Keep it in the DLQ; storage is retried on redelivery
+    channel.nack(msg, false, true);
+  }
+}
 
-      // Retry
-      return deliverWithRetry(handler, message, retryCount + 1, maxRetries);
+// Readiness probes for /health/ready, see health.js
+export const connectionProbes = {
+  rabbitmq: async () => {
+    if (!rabbitReady) throw new Error("Connection closed");
+  },
+  kafka: async () => {
+    if (!kafkaReady) throw new Error("Producer disconnected");
+  },
+};
+
+// Cancels the consumers so no new messages arrive, waits for the messages
+// being processed to be acked or nacked, then closes RabbitMQ and flushes
+// the Kafka producer
+export async function stopConsumers() {
+  stopping = true;
+  if (consumeChannel) {
+    for (const consumerTag of consumerTags) {
+      await consumeChannel.cancel(consumerTag);
     }
+    logger.info("Consumers cancelled, waiting for in-flight messages", {
+      inFlight,
+    });
+  }
 
-    throw error;
+  await waitUntil(() => inFlight === 0);
+
+  if (consumeChannel) await consumeChannel.close();
+  if (publishChannel) {
+    await publishChannel.waitForConfirms();
+    await publishChannel.close();
+  }
+  if (connection) await connection.close();
+  if (kafkaProducer) await kafkaProducer.disconnect();
+}
+
+// The connection and both channels report the same loss; it is logged once
+function onRabbitClose() {
+  const wasReady = rabbitReady;
+  rabbitReady = false;
+  if (stopping || !wasReady) return;
+
+  logger.error("RabbitMQ connection lost, failing liveness");
+  failLiveness("RabbitMQ connection lost");
+}
+
+async function track(fn) {
+  inFlight++;
+  try {
+    await fn();
+  } finally {
+    inFlight--;
   }
 }
 
-async function handleDeliveryError(channel, msg, message, channelType, error) {
-  const { messageId, traceId, retryCount = 0, maxRetries = 3 } = message || {};
+// Runs a consumer callback in a span that continues the trace from the
+// message's traceparent header
+function consumeInSpan(queueName, msg, fn) {
+  return withSpan(
+    `process ${queueName}`,
+    {
+      kind: SpanKind.CONSUMER,
+      attributes: {
+        "messaging.system": "rabbitmq",
+        "messaging.operation": "process",
+        "messaging.destination.name": queueName,
+        "messaging.rabbitmq.message.redelivered": msg.fields.redelivered,
+      },
+    },
+    fn,
+    extractContext(msg.properties.headers)
+  );
+}
+
+// Publishes a message to a queue and waits for the broker to confirm it,
+// e.g. when scheduling a retry or replaying a dead letter. The message is
+// validated against the queue message schema first. The publish stays
+// in the message's own trace; one triggered from another trace (a replay or
+// receipt request) links to that trace's span instead.
+export function publishToQueue(queueName, message, options = {}) {
+  const active = trace.getActiveSpan()?.spanContext();
+  const inMessageTrace = active && active.traceId === message.traceId;
+  const parent = inMessageTrace
+    ? context.active()
+    : extractContext(message.traceContext);
+
+  return withSpan(
+    `publish ${queueName}`,
+    {
+      kind: SpanKind.PRODUCER,
+      links: active && !inMessageTrace ? [{ context: active }] : [],
+      attributes: {
+        "messaging.system": "rabbitmq",
+        "messaging.operation": "publish",
+        "messaging.destination.name": queueName,
+        "messaging.message.id": message.messageId,
+      },
+    },
+    () =>
+      new Promise((resolve, reject) => {
+        publishChannel.sendToQueue(
+          queueName,
+          Buffer.from(JSON.stringify(createQueueMessage(message))),
+          {
+            persistent: true,
+            ...options,
+            headers: { ...options.headers, ...injectContext() },
+          },
+          (error) => (error ? reject(error) : resolve())
+        );
+      }),
+    parent
+  );
+}
+
+async function handleDeliveryError(
+  channel,
+  msg,
+  message,
+  channelType,
+  error,
+  subtraceId
+) {
+  const {
+    messageId,
+    tenantId,
+    traceId,
+    maxRetries = MAX_RETRIES,
+  } = message || {};
+  const retryCount = getRetryCount(msg, message);
+  // Malformed messages and permanent provider rejections are not worth
+  // retrying
+  const exhausted =
+    !message || retryCount >= maxRetries || error.retryable === false;
+
+  const span = trace.getActiveSpan();
+  if (span) failSpan(span, error);
 
   logger.error("Delivery error", {
     messageId,
@@ -196,60 +546,143 @@ async function handleDeliveryError(channel, msg, message, channelType, error) {
     service: "delivery",
     level: "error",
     message: "Message delivery failed",
+    status: exhausted ? "failed" : "queued",
+    tenantId,
     traceId,
     messageId,
     channel: channelType,
     retryCount,
     error: error.message,
+    provider: error.provider,
+    providerAttempts: error.providerAttempts,
     timestamp: new Date().toISOString(),
   });
 
-  if (retryCount >= maxRetries) {
+  if (exhausted) {
     // Move to dead letter queue
     logger.error("Max retries exceeded, moving to DLQ", {
       messageId,
       traceId,
       channelType,
+      retryCount,
+      retryable: error.retryable !== false,
     });
 
     await sendLog({
       service: "delivery",
       level: "error",
       message: "Max retries exceeded, moved to DLQ",
+      status: "failed",
+      tenantId,
       traceId,
       messageId,
       channel: channelType,
+      retryCount,
       timestamp: new Date().toISOString(),
     });
 
     // Reject and don't requeue (goes to DLQ)
     channel.nack(msg, false, false);
-  } else {
-    // Requeue for retry
+    messagesDeadLettered.inc({ channel: channelType });
+
+    // The dead letter handler moves it on to the next channel instead
+    if (hasNextStep(message)) return;
+
+    await emitWebhookEvent("message.failed", {
+      tenantId,
+      messageId,
+      traceId,
+      channel: channelType,
+      recipient: message?.recipient,
+      status: "failed",
+      provider: error.provider,
+      error: error.message,
+      errorCode: error.errorCode,
+      retryCount,
+      timestamp: new Date().toISOString(),
+    });
+    return;
+  }
+
+  const attempt = retryCount + 1;
+  const retryQueue = retryQueueName(
+    laneQueue(QUEUES[channelType], message.priority),
+    attempt
+  );
+  const delay = getRetryDelay(attempt);
+
+  try {
+    // Park a copy in the delay queue; it dead-letters back to the main queue
+    // when its TTL expires
+    await publishToQueue(
+      retryQueue,
+      { ...message, retryCount: attempt },
+      {
+        expiration: delay.toString(),
+        headers: { ...msg.properties.headers, "x-retry-count": attempt },
+      }
+    );
+    channel.ack(msg);
+    retriesScheduled.inc({ channel: channelType });
+
+    await appendMessageEvents(messageId, [
+      messageEvent("retry_scheduled", {
+        subtraceId,
+        channel: channelType,
+        retryCount: attempt,
+        errorCode: error.errorCode,
+        error: error.message,
+        detail: { retryQueue, delay },
+      }),
+    ]);
+
+    logger.warn("Delivery failed, retry scheduled", {
+      messageId,
+      traceId,
+      channelType,
+      attempt,
+      retryQueue,
+      delay: `${delay}ms`,
+    });
+  } catch (publishError) {
+    logger.error("Failed to schedule retry, requeueing", {
+      messageId,
+      traceId,
+      error: publishError.message,
+    });
     channel.nack(msg, false, true);
   }
 }
 
-async function sendLog(logData) {
+function parseJSON(text) {
   try {
-    await kafkaProducer.send({
-      topic: "communication-logs",
-      messages: [
-        {
-          key: logData.traceId,
-          value: JSON.stringify(logData),
-          timestamp: Date.now().toString(),
-        },
-      ],
-    });
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function logBreakerStateChange({ provider, from, to }) {
+  const level = to === "open" ? "warn" : "info";
+  logger[level]("Circuit breaker state changed", { provider, from, to });
+
+  sendLog({
+    service: "delivery",
+    level,
+    message: "Circuit breaker state changed",
+    provider,
+    breakerState: to,
+    previousBreakerState: from,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+export async function sendLog(logData) {
+  try {
+    // The logging service continues the trace of the span that logged
+    await publishLogEvents(kafkaProducer, [logData], injectContext());
   } catch (error) {
+    kafkaLogFailures.inc();
     logger.error("Failed to send log to Kafka", { error: error.message });
   }
 }
-
-// Graceful shutdown
-process.on("SIGINT", async () => {
-  logger.info("Closing Kafka producer...");
-  if (kafkaProducer) await kafkaProducer.disconnect();
-  process.exit(0);
-});
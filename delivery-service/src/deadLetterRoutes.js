@@ -0,0 +1,145 @@
+import { requireScope } from "./auth.js";
+import {
+  getDeadLetter,
+  listDeadLetters,
+  purgeDeadLetter,
+  purgeDeadLetters,
+  replayDeadLetter,
+  replayDeadLetters,
+} from "./deadLetters.js";
+import { logger } from "./logger.js";
+
+// Dead letters of the caller's tenant: list, inspect, replay and purge
+export function registerDeadLetterRoutes(app) {
+  // Dead letter management is an admin operation
+  app.use("/dlq", requireScope("admin"));
+
+  // List dead-lettered messages with filters and pagination
+  app.get("/dlq", async (req, res) => {
+    try {
+      const { channel, status, messageId, traceId, from, to } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const result = await listDeadLetters(
+        req.auth.tenantId,
+        { channel, status, messageId, traceId, from, to },
+        { page, limit }
+      );
+
+      res.json(result);
+    } catch (error) {
+      logger.error("Error fetching dead letters", { error: error.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Inspect a dead letter
+  app.get("/dlq/:deadLetterId", async (req, res) => {
+    try {
+      const deadLetter = await getDeadLetter(
+        req.auth.tenantId,
+        req.params.deadLetterId
+      );
+
+      if (!deadLetter) {
+        return res.status(404).json({ error: "Dead letter not found" });
+      }
+
+      res.json(deadLetter);
+    } catch (error) {
+      logger.error("Error fetching dead letter", { error: error.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Replay dead letters in bulk, by ids or filter
+  app.post("/dlq/replay", async (req, res) => {
+    try {
+      const { ids, filter, payload } = req.body;
+
+      if (!ids && !filter) {
+        return res.status(400).json({ error: "ids or filter is required" });
+      }
+
+      const results = await replayDeadLetters(req.auth.tenantId, {
+        ids,
+        filter,
+        edits: payload,
+      });
+
+      res.json({
+        replayed: results.filter((result) => result.replayed).length,
+        failed: results.filter((result) => !result.replayed).length,
+        results,
+      });
+    } catch (error) {
+      logger.error("Error replaying dead letters", { error: error.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Replay a dead letter, optionally with an edited payload
+  app.post("/dlq/:deadLetterId/replay", async (req, res) => {
+    try {
+      const deadLetter = await replayDeadLetter(
+        req.auth.tenantId,
+        req.params.deadLetterId,
+        req.body?.payload
+      );
+
+      if (!deadLetter) {
+        return res.status(404).json({ error: "Dead letter not found" });
+      }
+
+      res.json(deadLetter);
+    } catch (error) {
+      // Edits that leave the payload invalid, e.g. with an unknown field
+      if (error.errorCode === "SCHEMA_VALIDATION_FAILED") {
+        return res.status(400).json({ error: error.message });
+      }
+
+      logger.error("Error replaying dead letter", { error: error.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Purge a dead letter
+  app.delete("/dlq/:deadLetterId", async (req, res) => {
+    try {
+      const purged = await purgeDeadLetter(
+        req.auth.tenantId,
+        req.params.deadLetterId
+      );
+
+      if (!purged) {
+        return res.status(404).json({ error: "Dead letter not found" });
+      }
+
+      res.json({ purged: 1 });
+    } catch (error) {
+      logger.error("Error purging dead letter", { error: error.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Purge dead letters matching a filter (or all=true for everything)
+  app.delete("/dlq", async (req, res) => {
+    try {
+      const { channel, status, messageId, traceId, from, to, all } = req.query;
+      const filter = { channel, status, messageId, traceId, from, to };
+
+      if (all !== "true" && !Object.values(filter).some(Boolean)) {
+        return res
+          .status(400)
+          .json({ error: "A filter or all=true is required" });
+      }
+
+      const purged = await purgeDeadLetters(req.auth.tenantId, filter);
+      res.json({ purged });
+    } catch (error) {
+      logger.error("Error purging dead letters", { error: error.message });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+}
@@ -0,0 +1,232 @@
+import {
+  QUEUES,
+  createQueueMessage,
+  laneQueue,
+  upgradeQueueMessage,
+} from "@communication-aggregator/shared";
+import { randomUUID } from "crypto";
+import mongoose from "mongoose";
+import { publishToQueue } from "./consumer.js";
+import { logger } from "./logger.js";
+
+const MAX_BULK_REPLAY = 1000;
+
+// Dead Letter Schema
+const deadLetterSchema = new mongoose.Schema({
+  deadLetterId: { type: String, required: true, unique: true },
+  messageId: { type: String, index: true },
+  tenantId: { type: String, index: true },
+  traceId: { type: String, index: true },
+  channel: { type: String, index: true },
+  originalQueue: String,
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  failureReason: String,
+  errorCode: String,
+  deathReason: String,
+  deathHeaders: mongoose.Schema.Types.Mixed,
+  headers: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    required: true,
+    enum: ["pending", "replayed"],
+    default: "pending",
+    index: true,
+  },
+  replayCount: { type: Number, default: 0 },
+  lastReplayedAt: Date,
+  createdAt: { type: Date, default: Date.now, index: true },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+const DeadLetter = mongoose.model("DeadLetter", deadLetterSchema);
+
+// Stores a message consumed from the dead letter queue. The failure reason is
+// taken from the delivery record, since RabbitMQ only records that the message
+// was rejected.
+export async function storeDeadLetter(msg) {
+  const raw = msg.content.toString();
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch {
+    payload = { raw };
+  }
+
+  const headers = msg.properties.headers || {};
+  const death = headers["x-death"]?.[0];
+
+  const Message = mongoose.model("Message");
+  const delivery = payload.messageId
+    ? await Message.findOne({ messageId: payload.messageId })
+    : null;
+
+  const deadLetter = await DeadLetter.create({
+    deadLetterId: `dlq_${randomUUID()}`,
+    messageId: payload.messageId,
+    tenantId: payload.tenantId || headers["x-tenant-id"],
+    traceId: payload.traceId,
+    channel: payload.channel,
+    originalQueue:
+      death?.queue ||
+      (QUEUES[payload.channel] &&
+        laneQueue(QUEUES[payload.channel], payload.priority)),
+    payload,
+    failureReason: delivery?.errorMessage || death?.reason,
+    errorCode: delivery?.errorCode,
+    deathReason: death?.reason,
+    deathHeaders: headers["x-death"],
+    headers,
+  });
+
+  logger.warn("Dead-lettered message stored", {
+    deadLetterId: deadLetter.deadLetterId,
+    messageId: payload.messageId,
+    traceId: payload.traceId,
+    channel: payload.channel,
+    failureReason: deadLetter.failureReason,
+  });
+
+  return deadLetter;
+}
+
+export async function listDeadLetters(
+  tenantId,
+  filter,
+  { page = 1, limit = 10 } = {}
+) {
+  const query = buildQuery(tenantId, filter);
+  const skip = (page - 1) * limit;
+
+  const [deadLetters, total] = await Promise.all([
+    DeadLetter.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    DeadLetter.countDocuments(query),
+  ]);
+
+  return {
+    deadLetters,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+export async function getDeadLetter(tenantId, deadLetterId) {
+  return DeadLetter.findOne({ tenantId, deadLetterId });
+}
+
+// Publishes the dead letter back to its channel queue with a fresh retry
+// budget. Fields in `edits` are merged over the stored payload, upgraded to
+// the current queue message version; the result must match its schema.
+export async function replayDeadLetter(tenantId, deadLetterId, edits) {
+  const deadLetter = await DeadLetter.findOne({ tenantId, deadLetterId });
+  if (!deadLetter) {
+    return null;
+  }
+
+  // Edits cannot move a message to another tenant
+  const payload = {
+    ...upgradeQueueMessage(deadLetter.payload),
+    ...(edits || {}),
+    tenantId,
+  };
+  const queueName = QUEUES[payload.channel]
+    ? laneQueue(QUEUES[payload.channel], payload.priority)
+    : deadLetter.originalQueue;
+  if (!queueName) {
+    throw new Error(`Cannot determine queue for dead letter ${deadLetterId}`);
+  }
+
+  // Invalid edits are refused before anything is published
+  payload.retryCount = 0;
+  createQueueMessage(payload);
+
+  await publishToQueue(queueName, payload, {
+    headers: {
+      "x-retry-count": 0,
+      "x-trace-id": payload.traceId,
+      "x-tenant-id": tenantId,
+      "x-replayed-from": deadLetterId,
+    },
+  });
+
+  deadLetter.status = "replayed";
+  deadLetter.replayCount += 1;
+  deadLetter.lastReplayedAt = new Date();
+  deadLetter.updatedAt = new Date();
+  await deadLetter.save();
+
+  logger.info("Dead letter replayed", {
+    deadLetterId,
+    messageId: payload.messageId,
+    tenantId,
+    traceId: payload.traceId,
+    queueName,
+    edited: Boolean(edits),
+  });
+
+  return deadLetter;
+}
+
+// Replays the given dead letters, or all matching a filter. Returns a
+// result per dead letter.
+export async function replayDeadLetters(tenantId, { ids, filter, edits }) {
+  const query = ids
+    ? { tenantId, deadLetterId: { $in: ids } }
+    : buildQuery(tenantId, filter);
+  const deadLetters = await DeadLetter.find(query)
+    .sort({ createdAt: 1 })
+    .limit(MAX_BULK_REPLAY)
+    .select("deadLetterId");
+
+  const results = [];
+  for (const { deadLetterId } of deadLetters) {
+    try {
+      await replayDeadLetter(tenantId, deadLetterId, edits);
+      results.push({ deadLetterId, replayed: true });
+    } catch (error) {
+      results.push({ deadLetterId, replayed: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+export async function purgeDeadLetter(tenantId, deadLetterId) {
+  const result = await DeadLetter.deleteOne({ tenantId, deadLetterId });
+  return result.deletedCount > 0;
+}
+
+export async function purgeDeadLetters(tenantId, filter) {
+  const result = await DeadLetter.deleteMany(buildQuery(tenantId, filter));
+
+  logger.warn("Dead letters purged", {
+    tenantId,
+    filter,
+    count: result.deletedCount,
+  });
+
+  return result.deletedCount;
+}
+
+function buildQuery(
+  tenantId,
+  { channel, status, messageId, traceId, from, to } = {}
+) {
+  const query = { tenantId };
+
+  if (channel) query.channel = channel;
+  if (status) query.status = status;
+  if (messageId) query.messageId = messageId;
+  if (traceId) query.traceId = traceId;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+}
@@ -1,268 +1,503 @@
+import {
+  CHANNELS,
+  DEFAULT_PRIORITY,
+  PRIORITIES,
+  SpanKind,
+  normalizePriority,
+} from "@communication-aggregator/shared";
 import mongoose from "mongoose";
+import { getFallbackDeadline } from "./fallback.js";
 import { logger } from "./logger.js";
+import { messageEvent } from "./messageEvents.js";
+import {
+  deliveryAttempts,
+  deliveryOutcomes,
+  providerDuration,
+} from "./metrics.js";
+import { MESSAGE_STATUSES, statusesBefore } from "./messageStatus.js";
+import { BREAKER_STATES } from "./providers/circuitBreaker.js";
+import { withSpan } from "./tracing.js";
 
 // Message Schema
 const messageSchema = new mongoose.Schema({
   messageId: { type: String, required: true, unique: true },
+  tenantId: { type: String, index: true },
   traceId: { type: String, required: true, index: true },
-  channel: { type: String, required: true, enum: ["email", "sms", "whatsapp"] },
+  channel: { type: String, required: true, enum: CHANNELS },
   recipient: { type: String, required: true },
   subject: String,
   body: { type: String, required: true },
   metadata: mongoose.Schema.Types.Mixed,
+  category: String,
+  templateId: { type: String, index: true },
+  templateVersion: Number,
+  batchId: { type: String, index: true },
+  // W3C context the message was accepted under, continued by fallback steps
+  traceContext: { traceparent: String, tracestate: String },
+  priority: { type: String, enum: PRIORITIES, default: DEFAULT_PRIORITY },
   status: {
     type: String,
     required: true,
-    enum: ["queued", "processing", "delivered", "failed"],
+    enum: MESSAGE_STATUSES,
     default: "queued",
   },
+  scheduledFor: Date,
+  provider: String,
+  providerMessageId: { type: String, index: true },
+  breakerState: String,
+  providerAttempts: [
+    {
+      _id: false,
+      provider: String,
+      outcome: { type: String, enum: ["delivered", "failed", "skipped"] },
+      breakerState: String,
+      errorCode: String,
+      error: String,
+      at: Date,
+    },
+  ],
+  sentAt: Date,
   deliveredAt: Date,
+  readAt: Date,
   failedAt: Date,
+  errorCode: String,
   errorMessage: String,
   retryCount: { type: Number, default: 0 },
+  // Channels to try after this one (see fallback.js). channel and recipient
+  // always hold the current step; finished steps move to channelAttempts.
+  fallback: [
+    {
+      _id: false,
+      channel: { type: String, enum: CHANNELS },
+      recipient: String,
+      subject: String,
+      body: String,
+      unsubscribeUrl: String,
+      timeoutSeconds: Number,
+    },
+  ],
+  fallbackStep: { type: Number, default: 0 },
+  stepStartedAt: Date,
+  fallbackAt: { type: Date, index: { sparse: true } },
+  channelAttempts: [
+    {
+      _id: false,
+      step: Number,
+      channel: String,
+      recipient: String,
+      status: String,
+      provider: String,
+      providerMessageId: String,
+      errorCode: String,
+      error: String,
+      reason: String,
+      startedAt: Date,
+      endedAt: Date,
+    },
+  ],
+  // Append-only status history, see messageEvents.js
+  events: [
+    {
+      _id: false,
+      type: { type: String, required: true },
+      at: { type: Date, required: true },
+      source: String,
+      subtraceId: String,
+      channel: String,
+      provider: String,
+      providerMessageId: String,
+      response: mongoose.Schema.Types.Mixed,
+      errorCode: String,
+      error: String,
+      retryCount: Number,
+      detail: mongoose.Schema.Types.Mixed,
+    },
+  ],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
 const Message = mongoose.model("Message", messageSchema);
 
-// Email Delivery Handler
-export async function handleEmailDelivery(message) {
-  const { messageId, traceId, recipient, subject, body, metadata } = message;
+// Statuses a delivery attempt may start from. processing itself covers a
+// redelivery after the consumer died mid-attempt; a message that got further
+// (sent, delivered, read, ...) is never moved back.
+const DELIVERABLE_STATUSES = [...statusesBefore("processing"), "processing"];
 
-  try {
-    logger.info("Delivering email", {
-      messageId,
-      traceId,
-      recipient,
-      subject,
-    });
+const CHANNEL_LABELS = {
+  email: "email",
+  sms: "SMS",
+  whatsapp: "WhatsApp message",
+};
 
-    // Simulate email delivery (replace with actual email service)
-    await simulateDelivery("email", 500);
+// Delivers a message through the channel's ordered providers (see
+// providers/index.js), failing over to the next provider when one errors,
+// times out or has an open circuit breaker. Permanent rejections stop the
+// failover since another provider would reject the message too. Every step is
+// appended to the message's events under the given subtrace. A message that
+// already got past processing, e.g. a replayed or redelivered copy of one that
+// was delivered, is not sent again: the result is { skipped: true, status }.
+export async function deliverMessage(channel, providers, message, subtraceId) {
+  const label = CHANNEL_LABELS[channel];
+  const {
+    messageId,
+    tenantId,
+    traceId,
+    recipient,
+    subject,
+    body,
+    metadata,
+    category,
+    templateId,
+    templateVersion,
+    batchId,
+  } = message;
 
-    // Store in database
-    await Message.findOneAndUpdate(
-      { messageId },
-      {
-        messageId,
-        traceId,
-        channel: "email",
-        recipient,
-        subject,
-        body,
-        metadata,
-        status: "delivered",
-        deliveredAt: new Date(),
-        updatedAt: new Date(),
-      },
-      { upsert: true, new: true }
-    );
+  const record = {
+    messageId,
+    tenantId,
+    traceId,
+    channel,
+    recipient,
+    subject: channel === "email" ? subject : undefined,
+    body,
+    metadata,
+    category,
+    templateId,
+    templateVersion,
+    batchId,
+    traceContext: message.traceContext,
+    priority: normalizePriority(message.priority),
+  };
 
-    logger.info("Email delivered successfully", {
-      messageId,
-      traceId,
-      recipient,
-    });
-
-    return {
-      success: true,
-      messageId,
-      deliveredAt: new Date().toISOString(),
-    };
-  } catch (error) {
-    // Store failure in database
-    await Message.findOneAndUpdate(
-      { messageId },
-      {
-        messageId,
-        traceId,
-        channel: "email",
-        recipient,
-        subject,
-        body,
-        metadata,
-        status: "failed",
-        failedAt: new Date(),
-        errorMessage: error.message,
-        retryCount: message.retryCount || 0,
-        updatedAt: new Date(),
-      },
-      { upsert: true, new: true }
+  if (message.fallback?.length > 0) {
+    record.fallback = message.fallback;
+    record.fallbackStep = message.fallbackStep || 0;
+    record.stepStartedAt = new Date(
+      message.stepStartedAt || message.sendAt || message.timestamp || Date.now()
     );
+    record.fallbackAt = getFallbackDeadline(message);
+  }
 
-    logger.error("Email delivery failed", {
-      messageId,
-      traceId,
-      error: error.message,
-    });
+  const retryCount = message.retryCount || 0;
+  const startEvents = [];
 
-    return {
-      success: false,
-      error: error.message,
-    };
+  // The first attempt of a (fallback) step records when it was queued
+  if (retryCount === 0) {
+    startEvents.push(
+      messageEvent("queued", {
+        at: new Date(message.queuedAt || message.timestamp || Date.now()),
+        source: "router",
+        subtraceId: message.subtraceId,
+        channel,
+        detail: {
+          priority: record.priority,
+          fallbackStep: message.fallbackStep,
+        },
+      })
+    );
   }
-}
-
-// SMS Delivery Handler
-export async function handleSMSDelivery(message) {
-  const { messageId, traceId, recipient, body, metadata } = message;
+  startEvents.push(
+    messageEvent("processing", { subtraceId, channel, retryCount })
+  );
 
-  try {
-    logger.info("Delivering SMS", {
+  const current = await startDelivery(messageId, {
+    $set: {
+      ...record,
+      status: "processing",
+      retryCount,
+      updatedAt: new Date(),
+    },
+    $push: { events: { $each: startEvents } },
+  });
+  if (current) {
+    logger.info(`Skipping ${label} that is already ${current}`, {
       messageId,
       traceId,
-      recipient,
     });
+    return { success: false, skipped: true, status: current, messageId };
+  }
 
-    // Simulate SMS delivery (replace with actual SMS service like Twilio)
-    await simulateDelivery("sms", 300);
+  const attempts = [];
+  const events = [];
+  let lastError = { code: "NO_PROVIDER", message: "No provider available" };
+  let lastProvider;
+  let retryable = true;
 
-    // Store in database
-    await Message.findOneAndUpdate(
-      { messageId },
-      {
-        messageId,
-        traceId,
-        channel: "sms",
-        recipient,
-        body,
-        metadata,
-        status: "delivered",
-        deliveredAt: new Date(),
-        updatedAt: new Date(),
-      },
-      { upsert: true, new: true }
-    );
+  for (const { provider, breaker } of providers) {
+    if (!breaker.allowRequest()) {
+      deliveryAttempts.inc({
+        channel,
+        provider: provider.name,
+        outcome: "skipped",
+      });
+      attempts.push({
+        provider: provider.name,
+        outcome: "skipped",
+        breakerState: breaker.state,
+        at: new Date(),
+      });
+      events.push(
+        messageEvent("attempt", {
+          subtraceId,
+          channel,
+          provider: provider.name,
+          retryCount,
+          error: "Circuit breaker open",
+          detail: { outcome: "skipped", breakerState: breaker.state },
+        })
+      );
+      continue;
+    }
 
-    logger.info("SMS delivered successfully", {
-      messageId,
-      traceId,
-      recipient,
+    lastProvider = { provider, breaker };
+    const endTimer = providerDuration.startTimer({
+      channel,
+      provider: provider.name,
     });
 
-    return {
-      success: true,
-      messageId,
-      deliveredAt: new Date().toISOString(),
-    };
-  } catch (error) {
-    // Store failure in database
-    await Message.findOneAndUpdate(
-      { messageId },
-      {
+    try {
+      logger.info(`Delivering ${label}`, {
         messageId,
         traceId,
-        channel: "sms",
         recipient,
-        body,
-        metadata,
-        status: "failed",
-        failedAt: new Date(),
-        errorMessage: error.message,
-        retryCount: message.retryCount || 0,
-        updatedAt: new Date(),
-      },
-      { upsert: true, new: true }
-    );
+        provider: provider.name,
+      });
 
-    logger.error("SMS delivery failed", {
-      messageId,
-      traceId,
-      error: error.message,
-    });
+      const result = await withSpan(
+        `${provider.name} send`,
+        {
+          kind: SpanKind.CLIENT,
+          attributes: {
+            "message.channel": channel,
+            "message.provider": provider.name,
+          },
+        },
+        () => breaker.execute(() => provider.send(message))
+      );
+      breaker.recordSuccess();
+      endTimer({ outcome: "delivered" });
+      deliveryAttempts.inc({
+        channel,
+        provider: provider.name,
+        outcome: "delivered",
+      });
 
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
-}
+      attempts.push({
+        provider: provider.name,
+        outcome: "delivered",
+        breakerState: breaker.state,
+        at: new Date(),
+      });
+      events.push(
+        messageEvent("attempt", {
+          subtraceId,
+          channel,
+          provider: provider.name,
+          providerMessageId: result.providerMessageId,
+          response: result.response,
+          retryCount,
+          detail: { outcome: "delivered", breakerState: breaker.state },
+        })
+      );
 
-// WhatsApp Delivery Handler
-export async function handleWhatsAppDelivery(message) {
-  const { messageId, traceId, recipient, body, metadata } = message;
+      // Providers that report receipts only confirm acceptance here; the
+      // receipt moves the message on to delivered, read, bounced, etc.
+      const status = provider.reportsReceipts ? "sent" : "delivered";
+      const now = new Date();
 
-  try {
-    logger.info("Delivering WhatsApp message", {
-      messageId,
-      traceId,
-      recipient,
-    });
+      events.push(
+        messageEvent(status, {
+          at: now,
+          subtraceId,
+          channel,
+          provider: provider.name,
+          providerMessageId: result.providerMessageId,
+          retryCount,
+        })
+      );
 
-    // Simulate WhatsApp delivery (replace with actual WhatsApp Business API)
-    await simulateDelivery("whatsapp", 400);
+      // Store in database
+      await finishDelivery(messageId, status, {
+        $set: {
+          ...record,
+          provider: provider.name,
+          providerMessageId: result.providerMessageId,
+          breakerState: breaker.state,
+          providerAttempts: attempts,
+          status,
+          sentAt: now,
+          deliveredAt: status === "delivered" ? now : undefined,
+          updatedAt: now,
+        },
+        $push: { events: { $each: events } },
+      });
 
-    // Store in database
-    await Message.findOneAndUpdate(
-      { messageId },
-      {
+      deliveryOutcomes.inc({ channel, provider: provider.name, status });
+
+      logger.info(`${capitalize(label)} ${status} successfully`, {
         messageId,
         traceId,
-        channel: "whatsapp",
         recipient,
-        body,
-        metadata,
-        status: "delivered",
-        deliveredAt: new Date(),
-        updatedAt: new Date(),
-      },
-      { upsert: true, new: true }
-    );
+        provider: provider.name,
+      });
 
-    logger.info("WhatsApp message delivered successfully", {
-      messageId,
-      traceId,
-      recipient,
-    });
+      return {
+        success: true,
+        status,
+        messageId,
+        provider: provider.name,
+        providerMessageId: result.providerMessageId,
+        breakerState: breaker.state,
+        attempts,
+        deliveredAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      const mapped =
+        error.name === "CircuitTimeoutError"
+          ? { code: "TIMEOUT", message: error.message, retryable: true }
+          : provider.mapError(error);
 
-    return {
-      success: true,
-      messageId,
-      deliveredAt: new Date().toISOString(),
-    };
-  } catch (error) {
-    // Store failure in database
-    await Message.findOneAndUpdate(
-      { messageId },
-      {
+      // A permanent rejection means the provider is up and answering
+      if (mapped.retryable) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+
+      endTimer({ outcome: "failed" });
+      deliveryAttempts.inc({
+        channel,
+        provider: provider.name,
+        outcome: "failed",
+      });
+
+      attempts.push({
+        provider: provider.name,
+        outcome: "failed",
+        breakerState: breaker.state,
+        errorCode: mapped.code,
+        error: mapped.message,
+        at: new Date(),
+      });
+      events.push(
+        messageEvent("attempt", {
+          subtraceId,
+          channel,
+          provider: provider.name,
+          response: error.response,
+          errorCode: mapped.code,
+          error: mapped.message,
+          retryCount,
+          detail: {
+            outcome: "failed",
+            breakerState: breaker.state,
+            retryable: mapped.retryable,
+          },
+        })
+      );
+
+      logger.error(`${capitalize(label)} delivery failed`, {
         messageId,
         traceId,
-        channel: "whatsapp",
-        recipient,
-        body,
-        metadata,
-        status: "failed",
-        failedAt: new Date(),
-        errorMessage: error.message,
-        retryCount: message.retryCount || 0,
-        updatedAt: new Date(),
-      },
-      { upsert: true, new: true }
-    );
+        provider: provider.name,
+        breakerState: breaker.state,
+        errorCode: mapped.code,
+        retryable: mapped.retryable,
+        error: mapped.message,
+      });
 
-    logger.error("WhatsApp delivery failed", {
-      messageId,
-      traceId,
-      error: error.message,
-    });
+      lastError = mapped;
+      if (!mapped.retryable) {
+        retryable = false;
+        break;
+      }
+    }
+  }
+
+  events.push(
+    messageEvent("failed", {
+      subtraceId,
+      channel,
+      provider: lastProvider?.provider.name,
+      errorCode: lastError.code,
+      error: lastError.message,
+      retryCount,
+      detail: { retryable },
+    })
+  );
+
+  // Store failure in database
+  await finishDelivery(messageId, "failed", {
+    $set: {
+      ...record,
+      provider: lastProvider?.provider.name,
+      breakerState: lastProvider?.breaker.state ?? BREAKER_STATES.open,
+      providerAttempts: attempts,
+      status: "failed",
+      failedAt: new Date(),
+      errorCode: lastError.code,
+      errorMessage: lastError.message,
+      retryCount,
+      updatedAt: new Date(),
+    },
+    $push: { events: { $each: events } },
+  });
+
+  deliveryOutcomes.inc({
+    channel,
+    provider: lastProvider?.provider.name || "none",
+    status: "failed",
+  });
 
-    return {
-      success: false,
-      error: error.message,
-    };
+  return {
+    success: false,
+    error: lastError.message,
+    errorCode: lastError.code,
+    retryable,
+    provider: lastProvider?.provider.name,
+    attempts,
+  };
+}
+
+// Moves the message to processing, creating it if delivery sees it first.
+// Returns null when the attempt may go ahead, otherwise the status that
+// blocks it.
+async function startDelivery(messageId, update) {
+  try {
+    await Message.updateOne(
+      { messageId, status: { $in: DELIVERABLE_STATUSES } },
+      update,
+      { upsert: true }
+    );
+    return null;
+  } catch (error) {
+    // The upsert collides with the unique messageId when the message exists
+    // in a status the filter excludes
+    if (error.code !== 11000) throw error;
+
+    const existing = await Message.findOne({ messageId }, { status: 1 }).lean();
+    if (!existing) throw error;
+    return existing.status;
   }
 }
 
-// Simulate delivery with random failures for testing
-async function simulateDelivery(channel, delay) {
-  await new Promise((resolve) => setTimeout(resolve, delay));
+// Records the outcome of an attempt, unless the message left processing in
+// the meantime, e.g. a fallback timeout moved it on to the next channel
+async function finishDelivery(messageId, status, update) {
+  const result = await Message.updateOne(
+    { messageId, status: "processing" },
+    update
+  );
 
-  // Simulate 5% failure rate for testing retry logic
-  const failureRate = 0.05;
-  if (Math.random() < failureRate) {
-    throw new Error(`Simulated ${channel} delivery failure`);
+  if (result.matchedCount === 0) {
+    logger.warn("Message left processing during delivery, outcome not stored", {
+      messageId,
+      status,
+    });
   }
+}
 
-  logger.info(`${channel} delivery simulated successfully`);
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
 }
@@ -0,0 +1,322 @@
+import { QUEUES, laneQueue, waitUntil } from "@communication-aggregator/shared";
+import mongoose from "mongoose";
+import { publishToQueue, sendLog } from "./consumer.js";
+import { logger } from "./logger.js";
+import { messageEvent } from "./messageEvents.js";
+import { MAX_RETRIES } from "./retryPolicy.js";
+import { emitWebhookEvent } from "./webhooks.js";
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.FALLBACK_POLL_INTERVAL_MS) || 1000;
+const BATCH_SIZE = parseInt(process.env.FALLBACK_BATCH_SIZE) || 50;
+const PUBLISH_RETRY_MS = 30000;
+
+// Statuses a step can fall back from. A timeout also applies to messages
+// still waiting in a queue or for a receipt; delivered, read and suppressed
+// messages never fall back.
+const FALLBACK_STATUSES = [
+  "queued",
+  "processing",
+  "sent",
+  "failed",
+  "bounced",
+  "undeliverable",
+];
+
+let pollTimer;
+let polling = false;
+
+// A message's fallback chain is its own channel and recipient (step 0)
+// followed by the steps in message.fallback. fallbackStep is the step being
+// attempted.
+export function hasNextStep(message) {
+  return (message?.fallbackStep || 0) < (message?.fallback?.length || 0);
+}
+
+// When the current step times out, i.e. the next step's timeoutSeconds after
+// the step started. Null when the next step has no timeout.
+export function getFallbackDeadline(message) {
+  const next = message.fallback?.[message.fallbackStep || 0];
+  if (!next?.timeoutSeconds) return null;
+
+  const startedAt =
+    Date.parse(message.stepStartedAt || message.sendAt || message.timestamp) ||
+    Date.now();
+  return new Date(startedAt + next.timeoutSeconds * 1000);
+}
+
+// True when the message has already moved on to a later step, e.g. a retry
+// of a step that timed out. Such copies are dropped rather than delivered.
+export async function isSupersededStep(message) {
+  if (!message.fallback?.length) return false;
+
+  const Message = mongoose.model("Message");
+  const current = await Message.findOne(
+    { messageId: message.messageId },
+    { fallbackStep: 1 }
+  ).lean();
+
+  return (current?.fallbackStep || 0) > (message.fallbackStep || 0);
+}
+
+// Re-routes a message to the next step of its fallback chain under the same
+// messageId and trace. The step is claimed with a conditional update, so a
+// timeout, a dead letter and a receipt for the same step re-route it once.
+// reason is failed, bounced, undeliverable or timeout. Returns whether the
+// fallback chain took the message over: it was re-routed, or publishing failed
+// and the sweeper re-routes it shortly.
+export async function fallBack(messageId, step, reason) {
+  const Message = mongoose.model("Message");
+  const message = await Message.findOne({
+    messageId,
+    fallbackStep: step,
+    status: { $in: FALLBACK_STATUSES },
+  }).lean();
+  if (!hasNextStep(message)) return false;
+
+  const now = new Date();
+  const next = message.fallback[step];
+  const nextStep = step + 1;
+  const attempt = {
+    step,
+    channel: message.channel,
+    recipient: message.recipient,
+    status: message.status,
+    provider: message.provider,
+    providerMessageId: message.providerMessageId,
+    errorCode: message.errorCode,
+    error: message.errorMessage,
+    reason,
+    startedAt: message.stepStartedAt || message.createdAt,
+    endedAt: now,
+  };
+
+  const claimed = await Message.findOneAndUpdate(
+    { _id: message._id, fallbackStep: step, status: message.status },
+    {
+      $set: {
+        channel: next.channel,
+        recipient: next.recipient,
+        subject: next.subject,
+        body: next.body,
+        status: "queued",
+        fallbackStep: nextStep,
+        stepStartedAt: now,
+        fallbackAt: getFallbackDeadline({
+          ...message,
+          fallbackStep: nextStep,
+          stepStartedAt: now,
+        }),
+        retryCount: 0,
+        updatedAt: now,
+      },
+      $unset: {
+        provider: 1,
+        providerMessageId: 1,
+        sentAt: 1,
+        deliveredAt: 1,
+        readAt: 1,
+        failedAt: 1,
+        errorCode: 1,
+        errorMessage: 1,
+      },
+      $push: {
+        channelAttempts: attempt,
+        events: messageEvent("fallback", {
+          at: now,
+          channel: next.channel,
+          detail: {
+            reason,
+            fromChannel: message.channel,
+            fromStatus: message.status,
+            fallbackStep: nextStep,
+          },
+        }),
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  const payload = fallbackStepMessage(message, step, now);
+
+  try {
+    await publishToQueue(
+      laneQueue(QUEUES[next.channel], message.priority),
+      payload,
+      {
+        headers: {
+          "x-retry-count": 0,
+          "x-trace-id": message.traceId,
+          "x-tenant-id": message.tenantId,
+        },
+      }
+    );
+  } catch (error) {
+    // Put the step back and let the sweeper try again shortly
+    await Message.updateOne(
+      { _id: message._id, fallbackStep: nextStep, status: "queued" },
+      {
+        $set: {
+          ...restorableFields(message),
+          fallbackAt: new Date(Date.now() + PUBLISH_RETRY_MS),
+        },
+        $pop: { channelAttempts: 1 },
+      }
+    );
+
+    logger.error("Failed to publish fallback step", {
+      messageId,
+      traceId: message.traceId,
+      step: nextStep,
+      error: error.message,
+    });
+    return true;
+  }
+
+  const event = {
+    tenantId: message.tenantId,
+    messageId,
+    traceId: message.traceId,
+    channel: next.channel,
+    recipient: next.recipient,
+    status: "queued",
+    previousChannel: message.channel,
+    previousStatus: message.status,
+    reason,
+    fallbackStep: nextStep,
+    timestamp: now.toISOString(),
+  };
+
+  await sendLog({
+    service: "delivery",
+    level: "warn",
+    message: "Message fell back to next channel",
+    ...event,
+  });
+
+  await emitWebhookEvent("message.fallback", event);
+
+  logger.warn("Message fell back to next channel", {
+    messageId,
+    traceId: message.traceId,
+    from: message.channel,
+    to: next.channel,
+    step: nextStep,
+    reason,
+  });
+
+  return true;
+}
+
+// The queue message for the step after `step`: the next channel's recipient
+// and content, carrying over the rest of the stored message
+export function fallbackStepMessage(message, step, now) {
+  const next = message.fallback[step];
+  return {
+    messageId: message.messageId,
+    tenantId: message.tenantId,
+    traceId: message.traceId,
+    channel: next.channel,
+    recipient: next.recipient,
+    subject: next.subject,
+    body: next.body,
+    metadata: message.metadata,
+    category: message.category,
+    templateId: message.templateId,
+    templateVersion: message.templateVersion,
+    batchId: message.batchId,
+    traceContext: message.traceContext,
+    priority: message.priority,
+    unsubscribeUrl: next.unsubscribeUrl,
+    fallback: message.fallback,
+    fallbackStep: step + 1,
+    stepStartedAt: now.toISOString(),
+    timestamp: now.toISOString(),
+    status: "queued",
+    retryCount: 0,
+    maxRetries: MAX_RETRIES,
+  };
+}
+
+export function startFallbackSweeper() {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    sweepTimedOutSteps().catch((error) => {
+      logger.error("Fallback sweep failed", { error: error.message });
+    });
+  }, POLL_INTERVAL_MS);
+
+  logger.info("Fallback sweeper started", {
+    pollInterval: `${POLL_INTERVAL_MS}ms`,
+  });
+}
+
+// Stops polling and waits for a sweep in progress to finish
+export async function stopFallbackSweeper() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  await waitUntil(() => !polling);
+}
+
+async function sweepTimedOutSteps() {
+  // Skip the tick if the previous sweep is still running
+  if (polling) return;
+  polling = true;
+
+  try {
+    const Message = mongoose.model("Message");
+    const due = await Message.find(
+      {
+        fallbackAt: { $lte: new Date() },
+        status: { $in: FALLBACK_STATUSES },
+      },
+      { messageId: 1, fallbackStep: 1 }
+    )
+      .sort({ fallbackAt: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    for (const { messageId, fallbackStep } of due) {
+      const rerouted = await fallBack(messageId, fallbackStep || 0, "timeout");
+
+      // Nothing left to fall back to (or the step moved on meanwhile)
+      if (!rerouted) {
+        await Message.updateOne(
+          { messageId, fallbackStep, fallbackAt: { $lte: new Date() } },
+          { $set: { fallbackAt: null } }
+        );
+      }
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+function restorableFields(message) {
+  const fields = {};
+  for (const field of [
+    "channel",
+    "recipient",
+    "subject",
+    "body",
+    "status",
+    "fallbackStep",
+    "stepStartedAt",
+    "retryCount",
+    "provider",
+    "providerMessageId",
+    "sentAt",
+    "deliveredAt",
+    "readAt",
+    "failedAt",
+    "errorCode",
+    "errorMessage",
+  ]) {
+    if (message[field] !== undefined) fields[field] = message[field];
+  }
+  return fields;
+}
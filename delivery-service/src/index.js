@@ -1,22 +1,64 @@
+import {
+  registerHealthRoutes,
+  startDraining,
+} from "@communication-aggregator/shared";
 import cors from "cors";
 import dotenv from "dotenv";
 import express from "express";
 import mongoose from "mongoose";
-import { initializeConsumers } from "./consumer.js";
+import { requireScope } from "./auth.js";
+import {
+  connectionProbes,
+  initializeConsumers,
+  stopConsumers,
+} from "./consumer.js";
+import { registerDeadLetterRoutes } from "./deadLetterRoutes.js";
+import { startFallbackSweeper, stopFallbackSweeper } from "./fallback.js";
 import { logger } from "./logger.js";
+import { getMessageTimeline } from "./messageEvents.js";
+import { register } from "./metrics.js";
+import {
+  ingestReceipts,
+  RECEIPTS_ENABLED,
+  isKnownReceiptProvider,
+  receiptsResponseStatus,
+  verifyReceiptToken,
+} from "./receipts/index.js";
+import { initTracing, shutdownTracing, traceRequests } from "./tracing.js";
+import {
+  createWebhook,
+  deleteWebhook,
+  getWebhook,
+  getWebhookDelivery,
+  listWebhookDeliveries,
+  listWebhooks,
+  redeliverWebhook,
+  sendTestEvent,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+  updateWebhook,
+} from "./webhooks.js";
 
 dotenv.config();
 
 const MONGODB_URL =
   process.env.MONGODB_URL || "mongodb://localhost:27017/communication";
 const PORT = process.env.PORT || 4001;
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000;
+
+let httpServer;
+let shuttingDown = false;
 
 async function startService() {
   try {
     // Initialize Express app
     const app = express();
 
+    // Trace context propagation and OTLP span export
+    initTracing();
+
     // Middleware
+    app.use(traceRequests);
     app.use(cors());
     app.use(express.json());
     app.use(express.urlencoded({ extended: true }));
@@ -29,23 +71,32 @@ async function startService() {
     await initializeConsumers();
     logger.info("RabbitMQ consumers initialized");
 
-    // Health check endpoint
-    app.get("/health", async (req, res) => {
-      const dbStatus =
-        mongoose.connection.readyState === 1 ? "connected" : "disconnected";
-      res.json({
-        status: "healthy",
-        service: "delivery-service",
-        database: dbStatus,
-        timestamp: new Date().toISOString(),
-      });
+    // Retry pending webhook deliveries
+    startWebhookDispatcher();
+
+    // Move timed-out messages on along their fallback chain
+    startFallbackSweeper();
+
+    // Liveness and readiness probes
+    registerHealthRoutes(app, "delivery-service", {
+      mongodb: async () => {
+        await mongoose.connection.db.admin().ping();
+      },
+      ...connectionProbes,
+    });
+
+    // Prometheus scrape endpoint
+    app.get("/metrics", async (req, res) => {
+      res.set("Content-Type", register.contentType);
+      res.send(await register.metrics());
     });
 
     // Get message status by ID
-    app.get("/messages/:messageId", async (req, res) => {
+    app.get("/messages/:messageId", requireScope("read"), async (req, res) => {
       try {
         const Message = mongoose.model("Message");
         const message = await Message.findOne({
+          tenantId: req.auth.tenantId,
           messageId: req.params.messageId,
         });
 
@@ -60,20 +111,46 @@ async function startService() {
       }
     });
 
+    // Get a message's status history, oldest first
+    app.get(
+      "/messages/:messageId/events",
+      requireScope("read"),
+      async (req, res) => {
+        try {
+          const timeline = await getMessageTimeline(
+            req.auth.tenantId,
+            req.params.messageId
+          );
+
+          if (!timeline) {
+            return res.status(404).json({ error: "Message not found" });
+          }
+
+          res.json(timeline);
+        } catch (error) {
+          logger.error("Error fetching message events", {
+            error: error.message,
+          });
+          res.status(500).json({ error: "Internal server error" });
+        }
+      }
+    );
+
     // Get all messages with pagination
-    app.get("/messages", async (req, res) => {
+    app.get("/messages", requireScope("read"), async (req, res) => {
       try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
         const skip = (page - 1) * limit;
 
         const Message = mongoose.model("Message");
-        const messages = await Message.find()
+        const query = { tenantId: req.auth.tenantId };
+        const messages = await Message.find(query)
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limit);
 
-        const total = await Message.countDocuments();
+        const total = await Message.countDocuments(query);
 
         res.json({
           messages,
@@ -90,12 +167,210 @@ async function startService() {
       }
     });
 
+    // Dead letter inspection, replay and purge
+    registerDeadLetterRoutes(app);
+
+    // Delivery receipts (DLRs) posted by providers, normalized per provider
+    app.post("/receipts/:provider", async (req, res) => {
+      const { provider } = req.params;
+
+      if (!isKnownReceiptProvider(provider)) {
+        return res.status(404).json({ error: `Unknown provider: ${provider}` });
+      }
+
+      if (!RECEIPTS_ENABLED) {
+        return res
+          .status(503)
+          .json({ error: "Receipts are disabled: RECEIPT_TOKEN is not set" });
+      }
+
+      if (!verifyReceiptToken(req.query.token || req.get("x-receipt-token"))) {
+        return res.status(401).json({ error: "Invalid receipt token" });
+      }
+
+      try {
+        const results = await ingestReceipts(provider, req.body);
+
+        res.status(receiptsResponseStatus(results)).json({
+          applied: results.filter((result) => result.applied).length,
+          results,
+        });
+      } catch (error) {
+        logger.error("Error ingesting receipts", {
+          provider,
+          error: error.message,
+        });
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+
+    // Webhook subscriptions are managed per tenant by admins
+    app.use("/webhooks", requireScope("admin"));
+
+    // Register a webhook; the signing secret is only returned here
+    app.post("/webhooks", async (req, res) => {
+      try {
+        const webhook = await createWebhook(req.auth.tenantId, req.body);
+        res.status(201).json(webhook);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    app.get("/webhooks", async (req, res) => {
+      try {
+        res.json({ webhooks: await listWebhooks(req.auth.tenantId) });
+      } catch (error) {
+        logger.error("Error fetching webhooks", { error: error.message });
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+
+    // Delivery attempt log, filterable by webhookId, status, messageId, event
+    app.get("/webhooks/deliveries", async (req, res) => {
+      try {
+        const { webhookId, status, messageId, event } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+
+        const result = await listWebhookDeliveries(
+          req.auth.tenantId,
+          { webhookId, status, messageId, event },
+          { page, limit }
+        );
+
+        res.json(result);
+      } catch (error) {
+        logger.error("Error fetching webhook deliveries", {
+          error: error.message,
+        });
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+
+    app.get("/webhooks/deliveries/:deliveryId", async (req, res) => {
+      try {
+        const delivery = await getWebhookDelivery(
+          req.auth.tenantId,
+          req.params.deliveryId
+        );
+
+        if (!delivery) {
+          return res.status(404).json({ error: "Webhook delivery not found" });
+        }
+
+        res.json(delivery);
+      } catch (error) {
+        logger.error("Error fetching webhook delivery", {
+          error: error.message,
+        });
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+
+    // Redeliver an event now, with a fresh retry budget
+    app.post("/webhooks/deliveries/:deliveryId/redeliver", async (req, res) => {
+      try {
+        const delivery = await redeliverWebhook(
+          req.auth.tenantId,
+          req.params.deliveryId
+        );
+
+        if (!delivery) {
+          return res.status(404).json({ error: "Webhook delivery not found" });
+        }
+
+        res.json(delivery);
+      } catch (error) {
+        logger.error("Error redelivering webhook", { error: error.message });
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+
+    app.get("/webhooks/:webhookId", async (req, res) => {
+      try {
+        const webhook = await getWebhook(
+          req.auth.tenantId,
+          req.params.webhookId
+        );
+
+        if (!webhook) {
+          return res.status(404).json({ error: "Webhook not found" });
+        }
+
+        res.json(webhook);
+      } catch (error) {
+        logger.error("Error fetching webhook", { error: error.message });
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+
+    // Update url, events, description or active; { "rotateSecret": true }
+    // issues a new signing secret
+    app.patch("/webhooks/:webhookId", async (req, res) => {
+      try {
+        const webhook = await updateWebhook(
+          req.auth.tenantId,
+          req.params.webhookId,
+          req.body
+        );
+
+        if (!webhook) {
+          return res.status(404).json({ error: "Webhook not found" });
+        }
+
+        res.json(webhook);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    app.delete("/webhooks/:webhookId", async (req, res) => {
+      try {
+        const deleted = await deleteWebhook(
+          req.auth.tenantId,
+          req.params.webhookId
+        );
+
+        if (!deleted) {
+          return res.status(404).json({ error: "Webhook not found" });
+        }
+
+        res.json({ deleted: 1 });
+      } catch (error) {
+        logger.error("Error deleting webhook", { error: error.message });
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+
+    // Send a signed "webhook.test" event to check the receiver
+    app.post("/webhooks/:webhookId/test", async (req, res) => {
+      try {
+        const delivery = await sendTestEvent(
+          req.auth.tenantId,
+          req.params.webhookId
+        );
+
+        if (!delivery) {
+          return res.status(404).json({ error: "Webhook not found" });
+        }
+
+        res.json(delivery);
+      } catch (error) {
+        logger.error("Error sending test webhook", { error: error.message });
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+
     // Start Express server
-    app.listen(PORT, () => {
+    httpServer = app.listen(PORT, () => {
       logger.info(`🚀 Delivery Service ready at http://localhost:${PORT}`);
       logger.info(
-        `📊 Health check available at http://localhost:${PORT}/health`
+        `📊 Health check available at http://localhost:${PORT}/health/ready`
       );
+      if (!RECEIPTS_ENABLED) {
+        logger.warn("RECEIPT_TOKEN is not set, delivery receipts are rejected");
+      }
     });
   } catch (error) {
     logger.error("Failed to start service", { error: error.message });
@@ -103,17 +378,48 @@ async function startService() {
   }
 }
 
-// Graceful shutdown
-process.on("SIGINT", async () => {
-  logger.info("Shutting down gracefully...");
-  await mongoose.connection.close();
-  process.exit(0);
-});
-
-process.on("SIGTERM", async () => {
-  logger.info("Shutting down gracefully...");
-  await mongoose.connection.close();
-  process.exit(0);
-});
+// Graceful shutdown: fail readiness, stop taking requests, stop the
+// background loops, cancel the RabbitMQ consumers and let in-flight
+// deliveries finish, then close connections. Exits with an error if
+// draining takes longer than SHUTDOWN_TIMEOUT_MS.
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  logger.info("Shutting down gracefully...", { signal });
+  startDraining();
+
+  setTimeout(() => {
+    logger.error("Shutdown timed out, exiting", {
+      timeout: `${SHUTDOWN_TIMEOUT_MS}ms`,
+    });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  try {
+    if (httpServer) {
+      // Waits for in-flight requests; idle keep-alive sockets are dropped
+      const closed = new Promise((resolve) => httpServer.close(resolve));
+      httpServer.closeIdleConnections();
+      await closed;
+    }
+
+    await stopFallbackSweeper();
+    await stopConsumers();
+    // After the consumers, whose events start webhook attempts
+    await stopWebhookDispatcher();
+    await mongoose.connection.close();
+    await shutdownTracing();
+
+    logger.info("Shutdown complete");
+    process.exit(0);
+  } catch (error) {
+    logger.error("Error during shutdown", { error: error.message });
+    process.exit(1);
+  }
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
 
 startService();
@@ -0,0 +1,8 @@
+// Unacked messages each priority lane's consumer may hold (lane names are in
+// the shared queues module). Lanes are consumed side by side, so critical
+// work gets the most capacity while bulk still progresses.
+export const LANE_PREFETCH = {
+  critical: parseInt(process.env.PREFETCH_CRITICAL) || 5,
+  normal: parseInt(process.env.PREFETCH_NORMAL) || 2,
+  bulk: parseInt(process.env.PREFETCH_BULK) || 1,
+};
@@ -1,31 +1,3 @@
-class Logger {
-  log(level, message, metadata = {}) {
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      service: "delivery-service",
-      level,
-      message,
-      ...metadata,
-    };
+import { createLogger } from "@communication-aggregator/shared";
 
-    console.log(JSON.stringify(logEntry));
-  }
-
-  info(message, metadata) {
-    this.log("info", message, metadata);
-  }
-
-  warn(message, metadata) {
-    this.log("warn", message, metadata);
-  }
-
-  error(message, metadata) {
-    this.log("error", message, metadata);
-  }
-
-  debug(message, metadata) {
-    this.log("debug", message, metadata);
-  }
-}
-
-export const logger = new Logger();
+export const logger = createLogger("delivery-service");
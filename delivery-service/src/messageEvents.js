@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// Every message carries an append-only history in `events`. Each entry has a
+// type, a timestamp (at), the service that recorded it (source: router,
+// delivery or receipt) and the subtrace it belongs to. Types are the statuses
+// the message went through (scheduled, queued, processing, sent, delivered,
+// read, failed, bounced, undeliverable, suppressed) plus:
+//   attempt         - one provider call, with its response or error
+//   retry_scheduled - the message was parked in a retry queue
+//   dead_lettered   - the message was stored from the dead letter queue
+//   fallback        - the message moved on to the next channel of its chain
+export function messageEvent(type, fields = {}) {
+  return { type, at: new Date(), source: "delivery", ...fields };
+}
+
+export async function appendMessageEvents(messageId, events) {
+  if (!messageId || events.length === 0) return;
+
+  const Message = mongoose.model("Message");
+  await Message.updateOne(
+    { messageId },
+    { $push: { events: { $each: events } } }
+  );
+}
+
+// Returns the message's timeline, oldest first, or null if it is not found
+export async function getMessageTimeline(tenantId, messageId) {
+  const Message = mongoose.model("Message");
+  const message = await Message.findOne(
+    { tenantId, messageId },
+    { messageId: 1, traceId: 1, channel: 1, status: 1, events: 1 }
+  ).lean();
+  if (!message) return null;
+
+  const events = [...(message.events || [])].sort((a, b) => a.at - b.at);
+  return {
+    messageId: message.messageId,
+    traceId: message.traceId,
+    channel: message.channel,
+    status: message.status,
+    events,
+  };
+}
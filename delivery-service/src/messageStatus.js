@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+
+export const MESSAGE_STATUSES = [
+  "scheduled",
+  "queued",
+  "processing",
+  "sent",
+  "delivered",
+  "read",
+  "failed",
+  "bounced",
+  "undeliverable",
+  "suppressed",
+];
+
+// Allowed status transitions. "sent" means a provider accepted the message;
+// providers that report receipts then move it on asynchronously. Failed
+// messages can still be retried or replayed, and an email that was delivered
+// can bounce later. bounced, undeliverable, read and suppressed are final.
+const TRANSITIONS = {
+  scheduled: ["queued", "suppressed"],
+  queued: ["processing", "sent", "delivered", "failed", "suppressed"],
+  processing: ["sent", "delivered", "failed"],
+  sent: ["delivered", "read", "bounced", "undeliverable", "failed"],
+  delivered: ["read", "bounced"],
+  read: [],
+  failed: ["queued", "processing", "sent", "delivered"],
+  bounced: [],
+  undeliverable: [],
+  suppressed: [],
+};
+
+const TIMESTAMP_FIELDS = {
+  sent: "sentAt",
+  delivered: "deliveredAt",
+  read: "readAt",
+  failed: "failedAt",
+  bounced: "failedAt",
+  undeliverable: "failedAt",
+};
+
+export function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+// The statuses a message may move to `to` from, for conditional updates that
+// write more than transitionMessageStatus does
+export function statusesBefore(to) {
+  return Object.keys(TRANSITIONS).filter((from) => canTransition(from, to));
+}
+
+// Moves a message to a new status if the state machine allows it. The update
+// is conditional on the status read, so concurrent receipts cannot both apply.
+// An applied transition is appended to the message's events, merged with
+// `event`. Returns { applied, message, from } or { applied: false, reason }.
+export async function transitionMessageStatus(
+  filter,
+  to,
+  { at = new Date(), event = {}, ...fields } = {}
+) {
+  const Message = mongoose.model("Message");
+  const message = await Message.findOne(filter);
+
+  if (!message) {
+    return { applied: false, reason: "not_found" };
+  }
+
+  const from = message.status;
+  if (from === to) {
+    return { applied: false, reason: "duplicate", message };
+  }
+
+  if (!canTransition(from, to)) {
+    return {
+      applied: false,
+      reason: "invalid_transition",
+      detail: `${from} -> ${to}`,
+      message,
+    };
+  }
+
+  const update = { ...fields, status: to, updatedAt: new Date() };
+  if (TIMESTAMP_FIELDS[to]) update[TIMESTAMP_FIELDS[to]] = at;
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, status: from },
+    {
+      $set: update,
+      $push: {
+        events: {
+          channel: message.channel,
+          errorCode: fields.errorCode,
+          error: fields.errorMessage,
+          ...event,
+          type: to,
+          at,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { applied: false, reason: "concurrent_update", message };
+  }
+
+  return { applied: true, from, message: updated };
+}
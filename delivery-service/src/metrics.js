@@ -0,0 +1,52 @@
+import client from "prom-client";
+
+// Prometheus metrics served on GET /metrics, alongside the default Node.js
+// process metrics
+export const register = new client.Registry();
+register.setDefaultLabels({ service: "delivery-service" });
+client.collectDefaultMetrics({ register });
+
+// One per provider call, or per provider skipped while its breaker is open
+export const deliveryAttempts = new client.Counter({
+  name: "delivery_attempts_total",
+  help: "Provider attempts by outcome (delivered, failed, skipped)",
+  labelNames: ["channel", "provider", "outcome"],
+  registers: [register],
+});
+
+export const providerDuration = new client.Histogram({
+  name: "delivery_provider_duration_seconds",
+  help: "Time spent in provider calls",
+  labelNames: ["channel", "provider", "outcome"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+// One per consumed message: the status it ended with (sent, delivered or
+// failed) and the last provider tried
+export const deliveryOutcomes = new client.Counter({
+  name: "delivery_outcomes_total",
+  help: "Delivery attempts of a message by resulting status",
+  labelNames: ["channel", "provider", "status"],
+  registers: [register],
+});
+
+export const retriesScheduled = new client.Counter({
+  name: "delivery_retries_total",
+  help: "Messages parked in a retry queue",
+  labelNames: ["channel"],
+  registers: [register],
+});
+
+export const messagesDeadLettered = new client.Counter({
+  name: "delivery_dead_lettered_total",
+  help: "Messages sent to the dead letter queue",
+  labelNames: ["channel"],
+  registers: [register],
+});
+
+export const kafkaLogFailures = new client.Counter({
+  name: "delivery_kafka_log_send_failures_total",
+  help: "Log entries that could not be sent to Kafka",
+  registers: [register],
+});
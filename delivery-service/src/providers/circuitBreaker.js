@@ -0,0 +1,123 @@
+const ERROR_THRESHOLD = parseFloat(
+  process.env.CIRCUIT_ERROR_THRESHOLD ?? "0.5"
+);
+const MIN_REQUESTS = parseInt(process.env.CIRCUIT_MIN_REQUESTS) || 5;
+const WINDOW_MS = parseInt(process.env.CIRCUIT_WINDOW_MS) || 60000;
+const OPEN_MS = parseInt(process.env.CIRCUIT_OPEN_MS) || 30000;
+const CALL_TIMEOUT_MS = parseInt(process.env.PROVIDER_TIMEOUT_MS) || 10000;
+
+export const BREAKER_STATES = {
+  closed: "closed",
+  open: "open",
+  halfOpen: "half_open",
+};
+
+export class CircuitTimeoutError extends Error {
+  constructor(name, timeout) {
+    super(`Provider ${name} timed out after ${timeout}ms`);
+    this.name = "CircuitTimeoutError";
+  }
+}
+
+// Per-provider circuit breaker. Opens when the error rate over a rolling
+// window crosses the threshold (timeouts count as errors), and after a
+// cool-down lets a single probe through in half-open state: a successful
+// probe closes the breaker, a failed one re-opens it.
+export class CircuitBreaker {
+  constructor(name, { onStateChange } = {}) {
+    this.name = name;
+    this.state = BREAKER_STATES.closed;
+    this.outcomes = [];
+    this.openedAt = null;
+    this.probing = false;
+    this.onStateChange = onStateChange;
+  }
+
+  // Whether a call may go through right now. In half-open state only one
+  // probe is allowed at a time.
+  allowRequest() {
+    if (this.state === BREAKER_STATES.open) {
+      if (Date.now() - this.openedAt < OPEN_MS) return false;
+      this.transition(BREAKER_STATES.halfOpen);
+    }
+
+    if (this.state === BREAKER_STATES.halfOpen) {
+      if (this.probing) return false;
+      this.probing = true;
+    }
+
+    return true;
+  }
+
+  // Runs fn under the call timeout. A timed-out call is reported as a failure
+  // but is not cancelled, so the provider may still complete it.
+  async execute(fn) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new CircuitTimeoutError(this.name, CALL_TIMEOUT_MS)),
+        CALL_TIMEOUT_MS
+      );
+    });
+
+    try {
+      return await Promise.race([fn(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  recordSuccess() {
+    if (this.state === BREAKER_STATES.halfOpen) {
+      this.probing = false;
+      this.outcomes = [];
+      this.transition(BREAKER_STATES.closed);
+      return;
+    }
+
+    this.record(true);
+  }
+
+  recordFailure() {
+    if (this.state === BREAKER_STATES.halfOpen) {
+      this.probing = false;
+      this.open();
+      return;
+    }
+
+    this.record(false);
+
+    const failures = this.outcomes.filter((outcome) => !outcome.ok).length;
+    if (
+      this.state === BREAKER_STATES.closed &&
+      this.outcomes.length >= MIN_REQUESTS &&
+      failures / this.outcomes.length >= ERROR_THRESHOLD
+    ) {
+      this.open();
+    }
+  }
+
+  record(ok) {
+    const now = Date.now();
+    this.outcomes.push({ ok, at: now });
+    this.outcomes = this.outcomes.filter(
+      (outcome) => now - outcome.at < WINDOW_MS
+    );
+  }
+
+  open() {
+    this.openedAt = Date.now();
+    this.outcomes = [];
+    this.transition(BREAKER_STATES.open);
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+
+    const previous = this.state;
+    this.state = state;
+    if (this.onStateChange) {
+      this.onStateChange({ provider: this.name, from: previous, to: state });
+    }
+  }
+}
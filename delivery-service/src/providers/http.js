@@ -0,0 +1,90 @@
+const ENV_PREFIXES = {
+  sms: "SMS",
+  whatsapp: "WHATSAPP",
+};
+
+// Posts messages as JSON to an HTTP provider endpoint, configured per channel
+// through <CHANNEL>_HTTP_URL (e.g. a local mock server during development).
+export class HttpAdapter {
+  constructor(channel) {
+    const prefix = ENV_PREFIXES[channel];
+
+    this.name = "http";
+    this.channel = channel;
+    this.config = {
+      url: prefix && process.env[`${prefix}_HTTP_URL`],
+      token: prefix && process.env[`${prefix}_HTTP_TOKEN`],
+      timeout:
+        parseInt(prefix && process.env[`${prefix}_HTTP_TIMEOUT_MS`]) || 5000,
+    };
+    this.reportsReceipts =
+      (prefix && process.env[`${prefix}_HTTP_RECEIPTS`]) !== "false";
+  }
+
+  validateConfig() {
+    const prefix = ENV_PREFIXES[this.channel];
+    if (!prefix) {
+      throw new Error(`HTTP provider cannot deliver ${this.channel} messages`);
+    }
+
+    if (!this.config.url) {
+      throw new Error(`${prefix}_HTTP_URL is required for HTTP provider`);
+    }
+
+    new URL(this.config.url);
+  }
+
+  async send(message) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.config.token) {
+      headers.Authorization = `Bearer ${this.config.token}`;
+    }
+
+    const response = await fetch(this.config.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        to: message.recipient,
+        body: message.body,
+        messageId: message.messageId,
+        traceId: message.traceId,
+        channel: this.channel,
+      }),
+      signal: AbortSignal.timeout(this.config.timeout),
+    });
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(
+        payload.error || `Provider responded with HTTP ${response.status}`
+      );
+      error.status = response.status;
+      error.response = payload;
+      throw error;
+    }
+
+    return {
+      providerMessageId: payload.id || payload.messageId,
+      response: payload,
+    };
+  }
+
+  // 4xx other than 429 means the request itself was rejected; server errors,
+  // throttling and network failures are worth retrying
+  mapError(error) {
+    if (error.status) {
+      return {
+        code: `HTTP_${error.status}`,
+        message: error.message,
+        retryable: error.status >= 500 || error.status === 429,
+      };
+    }
+
+    return {
+      code: error.name === "TimeoutError" ? "TIMEOUT" : "NETWORK_ERROR",
+      message: error.message,
+      retryable: true,
+    };
+  }
+}
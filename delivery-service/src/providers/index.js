@@ -0,0 +1,59 @@
+import { CircuitBreaker } from "./circuitBreaker.js";
+import { HttpAdapter } from "./http.js";
+import { SimulatorAdapter } from "./simulator.js";
+import { SmtpAdapter } from "./smtp.js";
+
+// Every provider adapter implements:
+//   name                  - identifier recorded on the message
+//   validateConfig()      - throws if the adapter is misconfigured
+//   send(message)         - delivers the message, resolves { providerMessageId }
+//   mapError(error)       - normalizes a send error to { code, message, retryable }
+//   reportsReceipts       - whether the provider posts delivery receipts to
+//                           /receipts/:provider; if not, acceptance counts as
+//                           delivered
+const ADAPTERS = {
+  simulator: SimulatorAdapter,
+  smtp: SmtpAdapter,
+  http: HttpAdapter,
+};
+
+const ENV_PREFIXES = {
+  email: "EMAIL",
+  sms: "SMS",
+  whatsapp: "WHATSAPP",
+};
+
+// Builds the ordered provider list for a channel from <CHANNEL>_PROVIDERS
+// (comma separated, first is preferred), falling back to <CHANNEL>_PROVIDER.
+// Each provider gets its own circuit breaker.
+export function createProviders(channel, { onBreakerStateChange } = {}) {
+  const prefix = ENV_PREFIXES[channel];
+  const names = (
+    process.env[`${prefix}_PROVIDERS`] ||
+    process.env[`${prefix}_PROVIDER`] ||
+    "simulator"
+  )
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  return names.map((name) => ({
+    provider: createProvider(channel, name),
+    breaker: new CircuitBreaker(`${channel}:${name}`, {
+      onStateChange: onBreakerStateChange,
+    }),
+  }));
+}
+
+function createProvider(channel, name) {
+  const Adapter = ADAPTERS[name];
+
+  if (!Adapter) {
+    throw new Error(`Unknown provider "${name}" for channel ${channel}`);
+  }
+
+  const provider = new Adapter(channel);
+  provider.validateConfig();
+
+  return provider;
+}
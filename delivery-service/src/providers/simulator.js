@@ -0,0 +1,48 @@
+import { logger } from "../logger.js";
+
+const DELAYS = {
+  email: 500,
+  sms: 300,
+  whatsapp: 400,
+};
+
+// Simulates delivery with random failures for testing
+export class SimulatorAdapter {
+  constructor(channel) {
+    this.name = "simulator";
+    this.channel = channel;
+    this.reportsReceipts = false;
+    this.delay = DELAYS[channel] || 300;
+    this.failureRate = parseFloat(process.env.SIMULATOR_FAILURE_RATE ?? "0.05");
+  }
+
+  validateConfig() {
+    if (
+      isNaN(this.failureRate) ||
+      this.failureRate < 0 ||
+      this.failureRate > 1
+    ) {
+      throw new Error("SIMULATOR_FAILURE_RATE must be between 0 and 1");
+    }
+  }
+
+  async send(message) {
+    await new Promise((resolve) => setTimeout(resolve, this.delay));
+
+    if (Math.random() < this.failureRate) {
+      throw new Error(`Simulated ${this.channel} delivery failure`);
+    }
+
+    logger.info(`${this.channel} delivery simulated successfully`);
+
+    return { providerMessageId: `sim_${message.messageId}` };
+  }
+
+  mapError(error) {
+    return {
+      code: "SIMULATED_FAILURE",
+      message: error.message,
+      retryable: true,
+    };
+  }
+}
@@ -0,0 +1,88 @@
+import nodemailer from "nodemailer";
+
+const NETWORK_ERRORS = ["ECONNECTION", "ETIMEDOUT", "ESOCKET", "EDNS"];
+
+// Email delivery over SMTP. Point SMTP_HOST/SMTP_PORT at a local sink such as
+// Mailpit (see docker-compose.yml) to test without sending real mail.
+export class SmtpAdapter {
+  constructor(channel) {
+    this.name = "smtp";
+    this.channel = channel;
+    this.reportsReceipts = false;
+    this.config = {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM,
+    };
+  }
+
+  validateConfig() {
+    if (this.channel !== "email") {
+      throw new Error(`SMTP provider cannot deliver ${this.channel} messages`);
+    }
+
+    if (!this.config.host || !this.config.from) {
+      throw new Error("SMTP_HOST and SMTP_FROM are required for SMTP provider");
+    }
+
+    const { host, port, secure, user, pass } = this.config;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  async send(message) {
+    const headers = {
+      "X-Message-Id": message.messageId,
+      "X-Trace-Id": message.traceId,
+    };
+
+    // One-click unsubscribe (RFC 8058) when the router signed a link
+    if (message.unsubscribeUrl) {
+      headers["List-Unsubscribe"] = `<${message.unsubscribeUrl}>`;
+      headers["List-Unsubscribe-Post"] = "List-Unsubscribe=One-Click";
+    }
+
+    const info = await this.transport.sendMail({
+      from: this.config.from,
+      to: message.recipient,
+      subject: message.subject,
+      text: message.body,
+      headers,
+    });
+
+    return { providerMessageId: info.messageId, response: info.response };
+  }
+
+  // 5xx SMTP replies are permanent rejections; 4xx and network errors are
+  // worth retrying
+  mapError(error) {
+    if (error.responseCode >= 500) {
+      return {
+        code: `SMTP_${error.responseCode}`,
+        message: error.response || error.message,
+        retryable: false,
+      };
+    }
+
+    if (error.responseCode >= 400 || NETWORK_ERRORS.includes(error.code)) {
+      return {
+        code: error.responseCode ? `SMTP_${error.responseCode}` : error.code,
+        message: error.response || error.message,
+        retryable: true,
+      };
+    }
+
+    return {
+      code: error.code || "SMTP_ERROR",
+      message: error.message,
+      retryable: true,
+    };
+  }
+}
@@ -0,0 +1,29 @@
+// Generic JSON receipts, as posted by the mock provider (scripts/mockProvider.js)
+// and HTTP gateways that follow the same shape. Accepts a single receipt or an
+// array of them:
+//   { "id": "<provider message id>", "status": "delivered",
+//     "timestamp": "<ISO-8601>", "errorCode": "...", "error": "..." }
+const STATUSES = {
+  sent: "sent",
+  delivered: "delivered",
+  read: "read",
+  bounced: "bounced",
+  failed: "undeliverable",
+  undeliverable: "undeliverable",
+  undelivered: "undeliverable",
+  rejected: "undeliverable",
+  expired: "undeliverable",
+};
+
+export function normalizeHttpReceipts(body) {
+  const receipts = Array.isArray(body) ? body : [body];
+
+  return receipts.map((receipt) => ({
+    providerMessageId: receipt.id || receipt.messageId,
+    status: STATUSES[String(receipt.status).toLowerCase()] || null,
+    rawStatus: receipt.status,
+    occurredAt: receipt.timestamp ? new Date(receipt.timestamp) : new Date(),
+    errorCode: receipt.errorCode,
+    error: receipt.error,
+  }));
+}
@@ -0,0 +1,165 @@
+import { timingSafeEqual } from "crypto";
+import { sendLog } from "../consumer.js";
+import { fallBack, hasNextStep } from "../fallback.js";
+import { logger } from "../logger.js";
+import { transitionMessageStatus } from "../messageStatus.js";
+import { emitWebhookEvent } from "../webhooks.js";
+import { normalizeHttpReceipts } from "./http.js";
+import { normalizeSendgridReceipts } from "./sendgrid.js";
+import { normalizeTwilioReceipts } from "./twilio.js";
+
+// Every normalizer turns a provider callback body into a list of
+//   { providerMessageId, status, rawStatus, occurredAt, errorCode, error }
+// where status is one of sent, delivered, read, bounced or undeliverable, or
+// null for provider states that do not change ours.
+const NORMALIZERS = {
+  http: normalizeHttpReceipts,
+  twilio: normalizeTwilioReceipts,
+  sendgrid: normalizeSendgridReceipts,
+};
+
+const FAILURE_STATUSES = ["bounced", "undeliverable"];
+
+// Providers cannot send API keys, so callbacks carry a shared token instead
+// (?token= or the x-receipt-token header). While it is unset every receipt is
+// rejected, since anyone could otherwise forge delivery statuses.
+const RECEIPT_TOKEN = process.env.RECEIPT_TOKEN;
+
+export const RECEIPTS_ENABLED = Boolean(RECEIPT_TOKEN);
+
+export function isKnownReceiptProvider(provider) {
+  return Boolean(NORMALIZERS[provider]);
+}
+
+export function verifyReceiptToken(token) {
+  if (!RECEIPT_TOKEN || !token) return false;
+
+  const expected = Buffer.from(RECEIPT_TOKEN);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// Applies the receipts in a provider callback, in order. Returns a result per
+// receipt; receipts that are unknown, duplicated or would make an invalid
+// status transition are reported as not applied.
+export async function ingestReceipts(provider, body) {
+  const receipts = NORMALIZERS[provider](body);
+
+  const results = [];
+  for (const receipt of receipts) {
+    results.push(await applyReceipt(provider, receipt));
+  }
+
+  return results;
+}
+
+// A receipt can arrive before the provider's send call has returned and the
+// message's providerMessageId is stored, and then matches nothing. Such
+// callbacks get a 503 so the provider resends them; receipts of the callback
+// that were applied are reported as duplicates next time.
+export function receiptsResponseStatus(results) {
+  return results.some((result) => result.reason === "not_found") ? 503 : 200;
+}
+
+async function applyReceipt(provider, receipt) {
+  const { providerMessageId, status, rawStatus } = receipt;
+  const occurredAt = isNaN(receipt.occurredAt?.getTime())
+    ? new Date()
+    : receipt.occurredAt;
+  const result = { providerMessageId, status: status || rawStatus };
+
+  if (!providerMessageId) {
+    return { ...result, applied: false, reason: "missing_message_id" };
+  }
+
+  if (!status) {
+    return { ...result, applied: false, reason: "ignored_status" };
+  }
+
+  const fields = {
+    at: occurredAt,
+    event: {
+      source: "receipt",
+      providerMessageId,
+      detail: { receiptProvider: provider, rawStatus },
+    },
+  };
+  if (FAILURE_STATUSES.includes(status)) {
+    fields.errorCode = receipt.errorCode;
+    fields.errorMessage = receipt.error || `Provider reported ${rawStatus}`;
+  }
+
+  const transition = await transitionMessageStatus(
+    { providerMessageId },
+    status,
+    fields
+  );
+  const message = transition.message;
+
+  if (!transition.applied) {
+    if (transition.reason === "invalid_transition") {
+      logger.warn("Receipt rejected: invalid status transition", {
+        provider,
+        providerMessageId,
+        messageId: message.messageId,
+        transition: transition.detail,
+      });
+    }
+
+    return {
+      ...result,
+      messageId: message?.messageId,
+      applied: false,
+      reason: transition.reason,
+      detail: transition.detail,
+    };
+  }
+
+  const failed = FAILURE_STATUSES.includes(status);
+  const event = {
+    tenantId: message.tenantId,
+    messageId: message.messageId,
+    traceId: message.traceId,
+    channel: message.channel,
+    recipient: message.recipient,
+    status,
+    previousStatus: transition.from,
+    provider: message.provider,
+    providerMessageId,
+    errorCode: fields.errorCode,
+    error: fields.errorMessage,
+    timestamp: occurredAt.toISOString(),
+  };
+
+  await sendLog({
+    service: "delivery",
+    level: failed ? "warn" : "info",
+    message: "Message status changed",
+    source: "receipt",
+    receiptProvider: provider,
+    ...event,
+  });
+
+  await emitWebhookEvent(`message.${status}`, event);
+
+  logger.info("Delivery receipt applied", {
+    provider,
+    messageId: message.messageId,
+    traceId: message.traceId,
+    from: transition.from,
+    to: status,
+  });
+
+  // Bounced and undeliverable messages move on along their fallback chain
+  const fellBack =
+    failed &&
+    hasNextStep(message) &&
+    (await fallBack(message.messageId, message.fallbackStep || 0, status));
+
+  return {
+    ...result,
+    messageId: message.messageId,
+    applied: true,
+    fellBack: Boolean(fellBack),
+  };
+}
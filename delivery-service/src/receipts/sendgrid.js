@@ -0,0 +1,23 @@
+// SendGrid-style event webhooks: a JSON array of events keyed by
+// sg_message_id, whose first segment is the id returned at send time.
+// Deferrals are retried by the provider and ignored here.
+const STATUSES = {
+  processed: "sent",
+  delivered: "delivered",
+  open: "read",
+  bounce: "bounced",
+  dropped: "undeliverable",
+};
+
+export function normalizeSendgridReceipts(body) {
+  const events = Array.isArray(body) ? body : [body];
+
+  return events.map((event) => ({
+    providerMessageId: event.sg_message_id?.split(".")[0],
+    status: STATUSES[event.event] || null,
+    rawStatus: event.event,
+    occurredAt: event.timestamp ? new Date(event.timestamp * 1000) : new Date(),
+    errorCode: event.type ? `SENDGRID_${event.type.toUpperCase()}` : undefined,
+    error: event.reason,
+  }));
+}
@@ -0,0 +1,23 @@
+// Twilio-style status callbacks (form encoded): MessageSid, MessageStatus and
+// ErrorCode. Intermediate states (queued, sending, accepted) carry no news and
+// are ignored.
+const STATUSES = {
+  sent: "sent",
+  delivered: "delivered",
+  read: "read",
+  undelivered: "undeliverable",
+  failed: "undeliverable",
+};
+
+export function normalizeTwilioReceipts(body) {
+  return [
+    {
+      providerMessageId: body.MessageSid || body.SmsSid,
+      status: STATUSES[body.MessageStatus || body.SmsStatus] || null,
+      rawStatus: body.MessageStatus || body.SmsStatus,
+      occurredAt: new Date(),
+      errorCode: body.ErrorCode ? `TWILIO_${body.ErrorCode}` : undefined,
+      error: body.ErrorMessage,
+    },
+  ];
+}
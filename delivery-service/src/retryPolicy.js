@@ -0,0 +1,34 @@
+// Retry policy for failed deliveries. Retries go through per-attempt delay
+// queues (<queue>.retry.<attempt>) that dead-letter back to the main queue
+// once the message's TTL expires, so no consumer sits idle while waiting.
+export const MAX_RETRIES = parseInt(process.env.MAX_RETRIES) || 3;
+
+const BASE_DELAY_MS = parseInt(process.env.RETRY_DELAY_MS) || 1000;
+const BACKOFF_MULTIPLIER =
+  parseFloat(process.env.RETRY_BACKOFF_MULTIPLIER) || 2;
+const MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS) || 60000;
+const JITTER = parseFloat(process.env.RETRY_JITTER ?? "0.2");
+
+export function retryQueueName(queueName, attempt) {
+  return `${queueName}.retry.${Math.min(attempt, MAX_RETRIES)}`;
+}
+
+// Exponential backoff with +/- JITTER proportional jitter, e.g. 1s, 2s, 4s
+export function getRetryDelay(attempt) {
+  const delay = Math.min(
+    BASE_DELAY_MS * Math.pow(BACKOFF_MULTIPLIER, attempt - 1),
+    MAX_DELAY_MS
+  );
+  const jitter = delay * JITTER * (Math.random() * 2 - 1);
+
+  return Math.max(Math.round(delay + jitter), 0);
+}
+
+// The attempt count travels in the x-retry-count header; the body field is a
+// fallback for messages published before the header was set.
+export function getRetryCount(msg, message) {
+  const header = msg.properties.headers?.["x-retry-count"];
+  const count = parseInt(header ?? message?.retryCount ?? 0);
+
+  return isNaN(count) ? 0 : count;
+}
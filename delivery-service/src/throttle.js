@@ -0,0 +1,47 @@
+// Provider throughput per channel, "<count>/<window seconds>" or "off", e.g.
+// DELIVERY_RATE_SMS=50/1. The rate applies per delivery-service instance.
+// Deliveries over it wait for their slot while the messages behind them stay
+// in RabbitMQ, so a burst from one tenant is queued rather than rejected.
+const DEFAULT_RATES = {
+  email: "200/1",
+  sms: "50/1",
+  whatsapp: "50/1",
+};
+
+const intervals = loadIntervals();
+const nextSlots = {};
+
+// Resolves once the channel may make its next delivery. Slots are spaced
+// evenly over the window, so a rate of 50/1 sends one message every 20ms.
+export async function throttleDelivery(channel) {
+  const interval = intervals[channel];
+  if (!interval) return;
+
+  const now = Date.now();
+  const slot = Math.max(now, nextSlots[channel] || 0);
+  nextSlots[channel] = slot + interval;
+
+  if (slot > now) {
+    await new Promise((resolve) => setTimeout(resolve, slot - now));
+  }
+}
+
+function loadIntervals() {
+  const result = {};
+
+  for (const [channel, defaultRate] of Object.entries(DEFAULT_RATES)) {
+    const env = `DELIVERY_RATE_${channel.toUpperCase()}`;
+    const value = process.env[env] || defaultRate;
+    if (value === "off") continue;
+
+    const [count, windowSeconds] = value.split("/").map(Number);
+    if (!(count > 0) || !(windowSeconds > 0)) {
+      throw new Error(
+        `Invalid delivery rate ${env}=${value}, expected count/seconds`
+      );
+    }
+    result[channel] = (windowSeconds * 1000) / count;
+  }
+
+  return result;
+}
@@ -0,0 +1,140 @@
+import { lookup as dnsLookup } from "dns";
+import { lookup } from "dns/promises";
+import http from "http";
+import https from "https";
+import { BlockList, isIP } from "net";
+
+// Lets webhooks reach loopback and private networks, e.g. the local test
+// receiver. Never enable it where tenants can register webhooks.
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+// Loopback, private, link-local (including the 169.254.169.254 metadata
+// service), shared (CGNAT), benchmarking, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges. NAT64 and
+// 6to4 addresses, which route to an embedded IPv4 address, are refused
+// outright.
+const PRIVATE_RANGES = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+// Throws unless the URL is http(s) and its host resolves to public addresses
+// only. Used when a webhook is registered or changed.
+export async function assertPublicUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new Error("Webhook URL must use http or https");
+  }
+
+  const host = hostOf(parsed);
+  let addresses;
+  try {
+    addresses = isIP(host)
+      ? [{ address: host }]
+      : await lookup(host, { all: true });
+  } catch {
+    throw new Error(`Webhook host ${host} could not be resolved`);
+  }
+
+  checkAddresses(host, addresses);
+}
+
+// POSTs to a webhook URL without following redirects. The host is checked
+// again as the connection is made, so a DNS answer that changed since the
+// webhook was registered cannot reach a private address. Resolves to
+// { status, ok }.
+export function postToPublicUrl(url, { headers, body, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+
+    // IP literals are connected to without a lookup
+    const host = hostOf(parsed);
+    if (isIP(host)) {
+      try {
+        checkAddresses(host, [{ address: host }]);
+      } catch (error) {
+        return reject(error);
+      }
+    }
+
+    const client = parsed.protocol === "https:" ? https : http;
+    const request = client.request(
+      parsed,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(timeoutMs),
+      },
+      (response) => {
+        response.resume();
+        response.on("end", () =>
+          resolve({
+            status: response.statusCode,
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+          })
+        );
+        response.on("error", reject);
+      }
+    );
+
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+// dns.lookup for http.request that fails on private addresses
+function publicLookup(hostname, options, callback) {
+  dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    try {
+      checkAddresses(hostname, addresses);
+    } catch (checkError) {
+      return callback(checkError);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function checkAddresses(host, addresses) {
+  if (ALLOW_PRIVATE_URLS) return;
+
+  const blocked = addresses.find(({ address }) =>
+    PRIVATE_RANGES.check(address, isIP(address) === 6 ? "ipv6" : "ipv4")
+  );
+  if (blocked) {
+    throw new Error(
+      `Webhook host ${host} resolves to a private address (${blocked.address})`
+    );
+  }
+}
+
+// URL hostnames keep the brackets of IPv6 literals
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, "");
+}
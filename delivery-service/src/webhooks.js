@@ -0,0 +1,468 @@
+import { waitUntil } from "@communication-aggregator/shared";
+import { createHmac, randomBytes, randomUUID } from "crypto";
+import mongoose from "mongoose";
+import { logger } from "./logger.js";
+import { assertPublicUrl, postToPublicUrl } from "./webhookTarget.js";
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 5000;
+const MAX_RETRY_DELAY_MS =
+  parseInt(process.env.WEBHOOK_MAX_RETRY_DELAY_MS) || 3600000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 1000;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE) || 50;
+const LEASE_MS = TIMEOUT_MS * 2;
+
+export const WEBHOOK_EVENTS = [
+  "message.sent",
+  "message.delivered",
+  "message.read",
+  "message.bounced",
+  "message.undeliverable",
+  "message.failed",
+  "message.fallback",
+  "message.dead_lettered",
+];
+
+// Webhook Subscription Schema. The secret is kept in plaintext because it is
+// needed to sign every payload; it is only returned on create and rotation.
+const webhookSchema = new mongoose.Schema({
+  webhookId: { type: String, required: true, unique: true },
+  tenantId: { type: String, required: true, index: true },
+  url: { type: String, required: true },
+  events: [{ type: String, enum: WEBHOOK_EVENTS }],
+  secret: { type: String, required: true, select: false },
+  description: String,
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Webhook Delivery Schema: one document per event and subscription, with a
+// log of every attempt to deliver it
+const webhookAttemptSchema = new mongoose.Schema(
+  {
+    attempt: Number,
+    statusCode: Number,
+    error: String,
+    durationMs: Number,
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: { type: String, required: true, unique: true },
+  webhookId: { type: String, required: true, index: true },
+  tenantId: { type: String, required: true, index: true },
+  event: { type: String, required: true },
+  messageId: { type: String, index: true },
+  traceId: String,
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    required: true,
+    enum: ["pending", "delivered", "failed"],
+    default: "pending",
+  },
+  attemptCount: { type: Number, default: 0 },
+  attempts: [webhookAttemptSchema],
+  nextAttemptAt: Date,
+  lastError: String,
+  deliveredAt: Date,
+  createdAt: { type: Date, default: Date.now, index: true },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+let pollTimer;
+let polling = false;
+
+// Attempts started right after an event, awaited on shutdown
+const pendingAttempts = new Set();
+
+export async function createWebhook(tenantId, { url, events, description }) {
+  await validateWebhook({ url, events });
+
+  const secret = `whsec_${randomBytes(24).toString("base64url")}`;
+  const webhook = await Webhook.create({
+    webhookId: `wh_${randomUUID()}`,
+    tenantId,
+    url,
+    events,
+    description,
+    secret,
+  });
+
+  logger.info("Webhook created", {
+    webhookId: webhook.webhookId,
+    tenantId,
+    url,
+    events,
+  });
+
+  return { ...toWebhook(webhook), secret };
+}
+
+export async function listWebhooks(tenantId) {
+  const webhooks = await Webhook.find({ tenantId }).sort({ createdAt: -1 });
+  return webhooks.map(toWebhook);
+}
+
+export async function getWebhook(tenantId, webhookId) {
+  const webhook = await Webhook.findOne({ tenantId, webhookId });
+  return webhook ? toWebhook(webhook) : null;
+}
+
+// Updates url, events, description or active; rotateSecret issues a new
+// secret and returns it
+export async function updateWebhook(
+  tenantId,
+  webhookId,
+  { url, events, description, active, rotateSecret }
+) {
+  const webhook = await Webhook.findOne({ tenantId, webhookId });
+  if (!webhook) return null;
+
+  await validateWebhook({
+    url: url ?? webhook.url,
+    events: events ?? webhook.events,
+  });
+
+  if (url !== undefined) webhook.url = url;
+  if (events !== undefined) webhook.events = events;
+  if (description !== undefined) webhook.description = description;
+  if (active !== undefined) webhook.active = Boolean(active);
+
+  let secret;
+  if (rotateSecret) {
+    secret = `whsec_${randomBytes(24).toString("base64url")}`;
+    webhook.secret = secret;
+  }
+
+  webhook.updatedAt = new Date();
+  await webhook.save();
+
+  logger.info("Webhook updated", { webhookId, tenantId, rotateSecret });
+
+  return secret ? { ...toWebhook(webhook), secret } : toWebhook(webhook);
+}
+
+export async function deleteWebhook(tenantId, webhookId) {
+  const result = await Webhook.deleteOne({ tenantId, webhookId });
+  return result.deletedCount > 0;
+}
+
+// Queues an event for every active subscription of the tenant that listens to
+// it. Delivery is attempted right away and retried by the dispatcher. Never
+// throws, so a webhook problem cannot hold up message processing.
+export async function emitWebhookEvent(event, data) {
+  try {
+    if (!data.tenantId) return;
+
+    const webhooks = await Webhook.find({
+      tenantId: data.tenantId,
+      events: event,
+      active: true,
+    });
+    if (webhooks.length === 0) return;
+
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map((webhook) => createDeliveryDoc(webhook, event, data))
+    );
+
+    for (const delivery of deliveries) {
+      const attempt = attemptDelivery(delivery.deliveryId)
+        .catch((error) => {
+          logger.error("Webhook attempt failed", {
+            deliveryId: delivery.deliveryId,
+            error: error.message,
+          });
+        })
+        .finally(() => pendingAttempts.delete(attempt));
+      pendingAttempts.add(attempt);
+    }
+  } catch (error) {
+    logger.error("Failed to queue webhook event", {
+      event,
+      messageId: data.messageId,
+      error: error.message,
+    });
+  }
+}
+
+// Sends a "webhook.test" event so a receiver can be checked end to end
+export async function sendTestEvent(tenantId, webhookId) {
+  const webhook = await Webhook.findOne({ tenantId, webhookId });
+  if (!webhook) return null;
+
+  const delivery = await WebhookDelivery.create(
+    createDeliveryDoc(webhook, "webhook.test", {
+      tenantId,
+      timestamp: new Date().toISOString(),
+    })
+  );
+
+  return attemptDelivery(delivery.deliveryId);
+}
+
+export async function listWebhookDeliveries(
+  tenantId,
+  { webhookId, status, messageId, event } = {},
+  { page = 1, limit = 10 } = {}
+) {
+  const query = { tenantId };
+  if (webhookId) query.webhookId = webhookId;
+  if (status) query.status = status;
+  if (messageId) query.messageId = messageId;
+  if (event) query.event = event;
+
+  const skip = (page - 1) * limit;
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    WebhookDelivery.countDocuments(query),
+  ]);
+
+  return {
+    deliveries,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+export async function getWebhookDelivery(tenantId, deliveryId) {
+  return WebhookDelivery.findOne({ tenantId, deliveryId });
+}
+
+// Manually redelivers an event, whatever its status, with a fresh retry
+// budget. The attempt log is kept.
+export async function redeliverWebhook(tenantId, deliveryId) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { tenantId, deliveryId },
+    {
+      status: "pending",
+      attemptCount: 0,
+      nextAttemptAt: new Date(),
+      updatedAt: new Date(),
+    },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  logger.info("Webhook redelivery requested", { deliveryId, tenantId });
+
+  return attemptDelivery(deliveryId);
+}
+
+export function startWebhookDispatcher() {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    dispatchDueDeliveries().catch((error) => {
+      logger.error("Webhook dispatch failed", { error: error.message });
+    });
+  }, POLL_INTERVAL_MS);
+
+  logger.info("Webhook dispatcher started", {
+    pollInterval: `${POLL_INTERVAL_MS}ms`,
+  });
+}
+
+// Stops polling and waits for the deliveries being sent, by the dispatcher or
+// right after an event, to finish and record their outcome
+export async function stopWebhookDispatcher() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  await waitUntil(() => !polling);
+  await Promise.all(pendingAttempts);
+}
+
+async function dispatchDueDeliveries() {
+  // Skip the tick if the previous batch is still being sent
+  if (polling) return;
+  polling = true;
+
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const delivery = await claimDueDelivery();
+      if (!delivery) break;
+      await attemptDelivery(delivery.deliveryId, { claimed: true });
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+// Claims one due delivery by pushing its next attempt past the lease, so
+// concurrent dispatchers (or a crashed one) never send it twice at once
+function claimDueDelivery() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + LEASE_MS) },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function attemptDelivery(deliveryId, { claimed = false } = {}) {
+  const delivery = claimed
+    ? await WebhookDelivery.findOne({ deliveryId })
+    : await WebhookDelivery.findOneAndUpdate(
+        { deliveryId, status: "pending", nextAttemptAt: { $lte: new Date() } },
+        { nextAttemptAt: new Date(Date.now() + LEASE_MS) },
+        { new: true }
+      );
+  if (!delivery || delivery.status !== "pending") return delivery;
+
+  const webhook = await Webhook.findOne({
+    webhookId: delivery.webhookId,
+  }).select("+secret");
+
+  const attempt = delivery.attemptCount + 1;
+  const startTime = Date.now();
+  let statusCode;
+  let error;
+
+  if (!webhook) {
+    error = "Webhook subscription no longer exists";
+  } else {
+    try {
+      const response = await sendSigned(webhook, delivery);
+      statusCode = response.status;
+      if (!response.ok) error = `Receiver responded with ${response.status}`;
+    } catch (requestError) {
+      error = requestError.message;
+    }
+  }
+
+  delivery.attempts.push({
+    attempt,
+    statusCode,
+    error,
+    durationMs: Date.now() - startTime,
+  });
+  delivery.attemptCount = attempt;
+  delivery.updatedAt = new Date();
+
+  if (!error) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+    delivery.lastError = undefined;
+  } else if (!webhook || attempt >= MAX_ATTEMPTS) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = undefined;
+    delivery.lastError = error;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(attempt));
+    delivery.lastError = error;
+  }
+
+  await delivery.save();
+
+  const logData = {
+    deliveryId,
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    messageId: delivery.messageId,
+    attempt,
+    statusCode,
+  };
+  if (!error) {
+    logger.info("Webhook delivered", logData);
+  } else {
+    logger.warn("Webhook delivery failed", {
+      ...logData,
+      error,
+      nextAttemptAt: delivery.nextAttemptAt,
+    });
+  }
+
+  return delivery;
+}
+
+// Signs "<timestamp>.<body>" with the subscription secret. Receivers should
+// recompute the signature and reject stale timestamps to prevent replays.
+function sendSigned(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = createHmac("sha256", webhook.secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+  return postToPublicUrl(webhook.url, {
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "communication-aggregator-webhooks/1.0",
+      "X-Webhook-Id": webhook.webhookId,
+      "X-Webhook-Delivery": delivery.deliveryId,
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Timestamp": timestamp,
+      "X-Webhook-Signature": `sha256=${signature}`,
+    },
+    body,
+    timeoutMs: TIMEOUT_MS,
+  });
+}
+
+// Exponential backoff with full jitter, capped at MAX_RETRY_DELAY_MS
+function getRetryDelay(attempt) {
+  const delay = Math.min(
+    RETRY_DELAY_MS * Math.pow(2, attempt - 1),
+    MAX_RETRY_DELAY_MS
+  );
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+}
+
+function createDeliveryDoc(webhook, event, data) {
+  const deliveryId = `whd_${randomUUID()}`;
+  return {
+    deliveryId,
+    webhookId: webhook.webhookId,
+    tenantId: webhook.tenantId,
+    event,
+    messageId: data.messageId,
+    traceId: data.traceId,
+    payload: { id: deliveryId, event, createdAt: new Date(), data },
+    nextAttemptAt: new Date(),
+  };
+}
+
+async function validateWebhook({ url, events }) {
+  try {
+    new URL(url);
+  } catch {
+    throw new Error(`Invalid webhook URL: ${url}`);
+  }
+
+  await assertPublicUrl(url);
+
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error("At least one event type is required");
+  }
+
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event types: ${unknown.join(", ")}`);
+  }
+}
+
+function toWebhook(webhook) {
+  return {
+    webhookId: webhook.webhookId,
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description,
+    active: webhook.active,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt,
+  };
+}
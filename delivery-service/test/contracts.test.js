@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  createQueueMessage,
+  readQueueMessage,
+} from "@communication-aggregator/shared";
+import { fallbackStepMessage } from "../src/fallback.js";
+
+// A message as stored by deliveryHandlers.js and read back with lean()
+const storedMessage = {
+  _id: "65a4f0c2e4b0a1b2c3d4e5f6",
+  messageId: "msg_7f9c2b1e-4d3a-4c8e-9b2f-1a6d5e8c3f70",
+  tenantId: "tenant_demo",
+  traceId: "4bf92f3577b34da6a3ce929d0e0e4736",
+  channel: "whatsapp",
+  recipient: "+14155550100",
+  body: "Your order has shipped",
+  metadata: { orderId: "ord_123" },
+  category: "orders",
+  traceContext: {
+    traceparent: "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01",
+  },
+  priority: "normal",
+  status: "failed",
+  providerAttempts: [],
+  retryCount: 3,
+  fallback: [
+    { channel: "sms", recipient: "+14155550100", body: "Your order shipped" },
+    {
+      channel: "email",
+      recipient: "user@example.com",
+      subject: "Your order has shipped",
+      body: "Your order has shipped",
+      timeoutSeconds: 300,
+    },
+  ],
+  fallbackStep: 0,
+  channelAttempts: [],
+  events: [],
+  createdAt: new Date("2026-01-15T10:30:00.000Z"),
+  updatedAt: new Date("2026-01-15T10:31:00.000Z"),
+};
+
+test("fallback steps are published as valid queue messages", () => {
+  const now = new Date("2026-01-15T10:31:00.000Z");
+
+  for (const step of [0, 1]) {
+    const message = createQueueMessage(
+      fallbackStepMessage(storedMessage, step, now)
+    );
+
+    assert.equal(message.channel, storedMessage.fallback[step].channel);
+    assert.equal(message.fallbackStep, step + 1);
+    assert.deepEqual(
+      readQueueMessage(JSON.parse(JSON.stringify(message))),
+      message
+    );
+  }
+});
+
+test("a retry of a consumed message stays valid", () => {
+  const published = createQueueMessage(
+    fallbackStepMessage(storedMessage, 0, new Date())
+  );
+  const consumed = readQueueMessage(JSON.parse(JSON.stringify(published)));
+
+  assert.doesNotThrow(() => createQueueMessage({ ...consumed, retryCount: 1 }));
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { hashApiKey } from "@communication-aggregator/shared";
+import express from "express";
+import mongoose from "mongoose";
+import { registerDeadLetterRoutes } from "../src/deadLetterRoutes.js";
+
+const ADMIN_KEY = "cak_admin";
+
+mongoose.model("ApiKey").findOne = async ({ keyHash }) =>
+  keyHash === hashApiKey(ADMIN_KEY)
+    ? { keyId: "key_admin", tenantId: "tenant-a", scopes: ["admin"] }
+    : null;
+
+mongoose.model("DeadLetter").findOne = async ({ tenantId, deadLetterId }) =>
+  deadLetterId === "dlq_1"
+    ? {
+        deadLetterId,
+        tenantId,
+        payload: {
+          schemaVersion: 1,
+          messageId: "msg-1",
+          tenantId,
+          traceId: "trace-1",
+          channel: "sms",
+          recipient: "+15550100",
+          body: "Hello",
+          timestamp: "2026-01-01T00:00:00.000Z",
+        },
+      }
+    : null;
+
+async function replay(deadLetterId, payload) {
+  const app = express();
+  app.use(express.json());
+  registerDeadLetterRoutes(app);
+
+  const server = app.listen(0);
+  try {
+    return await fetch(
+      `http://localhost:${server.address().port}/dlq/${deadLetterId}/replay`,
+      {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          authorization: `Bearer ${ADMIN_KEY}`,
+        },
+        body: JSON.stringify({ payload }),
+      }
+    );
+  } finally {
+    server.close();
+  }
+}
+
+test("a replay with an invalid edit is refused with a 400", async () => {
+  const response = await replay("dlq_1", { recipeint: "+15550199" });
+
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /additional properties/);
+});
+
+test("replaying an unknown dead letter is a 404", async () => {
+  const response = await replay("dlq_missing", {});
+
+  assert.equal(response.status, 404);
+});
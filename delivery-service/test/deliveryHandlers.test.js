@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import mongoose from "mongoose";
+import { deliverMessage } from "../src/deliveryHandlers.js";
+
+// An in-memory stand-in for the messages collection, keyed by messageId
+const stored = new Map();
+const Message = mongoose.model("Message");
+
+function matches(doc, filter) {
+  const status = filter.status;
+  if (status === undefined) return true;
+  return status.$in ? status.$in.includes(doc.status) : doc.status === status;
+}
+
+Message.updateOne = async (filter, update, { upsert } = {}) => {
+  const doc = stored.get(filter.messageId);
+  if (doc && !matches(doc, filter)) {
+    if (upsert) throw Object.assign(new Error("E11000"), { code: 11000 });
+    return { matchedCount: 0 };
+  }
+  if (!doc && !upsert) return { matchedCount: 0 };
+
+  stored.set(filter.messageId, { ...doc, ...update.$set });
+  return { matchedCount: 1 };
+};
+Message.findOne = (filter) => ({
+  lean: async () => stored.get(filter.messageId),
+});
+
+let sends;
+const provider = {
+  name: "fake",
+  reportsReceipts: false,
+  async send() {
+    sends++;
+    return { providerMessageId: `fake-${sends}` };
+  },
+  mapError: (error) => ({ code: "ERROR", message: error.message }),
+};
+const breaker = {
+  state: "closed",
+  allowRequest: () => true,
+  execute: (fn) => fn(),
+  recordSuccess() {},
+  recordFailure() {},
+};
+
+const message = {
+  messageId: "msg-1",
+  tenantId: "tenant-a",
+  traceId: "trace-1",
+  recipient: "+15550100",
+  body: "Hello",
+};
+
+beforeEach(() => {
+  stored.clear();
+  sends = 0;
+});
+
+test("a new message is delivered", async () => {
+  const result = await deliverMessage("sms", [{ provider, breaker }], message);
+
+  assert.equal(result.success, true);
+  assert.equal(sends, 1);
+  assert.equal(stored.get("msg-1").status, "delivered");
+});
+
+test("a failed message can be retried", async () => {
+  stored.set("msg-1", { messageId: "msg-1", status: "failed" });
+
+  const result = await deliverMessage("sms", [{ provider, breaker }], {
+    ...message,
+    retryCount: 1,
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(stored.get("msg-1").status, "delivered");
+});
+
+for (const status of ["sent", "delivered", "read", "bounced", "suppressed"]) {
+  test(`a redelivered ${status} message is not sent or moved back`, async () => {
+    stored.set("msg-1", { messageId: "msg-1", status });
+
+    const result = await deliverMessage(
+      "sms",
+      [{ provider, breaker }],
+      message
+    );
+
+    assert.deepEqual(
+      { skipped: result.skipped, status: result.status },
+      { skipped: true, status }
+    );
+    assert.equal(sends, 0);
+    assert.equal(stored.get("msg-1").status, status);
+  });
+}
+
+test("the outcome is not stored once the message left processing", async () => {
+  const slow = {
+    ...provider,
+    async send() {
+      // A fallback timeout moves the message on while the provider is called
+      stored.set("msg-1", { ...stored.get("msg-1"), status: "queued" });
+      return provider.send();
+    },
+  };
+
+  await deliverMessage("sms", [{ provider: slow, breaker }], message);
+
+  assert.equal(stored.get("msg-1").status, "queued");
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import mongoose from "mongoose";
+import { fallBack } from "../src/fallback.js";
+
+const Message = mongoose.model("Message");
+
+const message = {
+  _id: "id-1",
+  messageId: "msg-1",
+  tenantId: "tenant-a",
+  traceId: "trace-1",
+  channel: "sms",
+  recipient: "+15550100",
+  body: "Hello",
+  status: "failed",
+  fallbackStep: 0,
+  fallback: [{ channel: "email", recipient: "a@example.com", body: "Hello" }],
+};
+
+test("a step whose publish fails stays with the fallback chain", async () => {
+  let restored;
+  Message.findOne = () => ({ lean: async () => message });
+  Message.findOneAndUpdate = async () => ({ ...message, fallbackStep: 1 });
+  Message.updateOne = async (filter, update) => {
+    restored = update.$set;
+  };
+
+  // No RabbitMQ channel is open, so publishing the next step fails
+  const tookOver = await fallBack("msg-1", 0, "failed");
+
+  assert.equal(tookOver, true);
+  assert.equal(restored.status, "failed");
+  assert.equal(restored.fallbackStep, 0);
+  assert.ok(restored.fallbackAt > new Date());
+});
+
+test("a message without a next step is left alone", async () => {
+  Message.findOne = () => ({
+    lean: async () => ({ ...message, fallbackStep: 1 }),
+  });
+
+  assert.equal(await fallBack("msg-1", 1, "failed"), false);
+});
@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+test("receipts are refused while RECEIPT_TOKEN is unset", async () => {
+  delete process.env.RECEIPT_TOKEN;
+  const { RECEIPTS_ENABLED, verifyReceiptToken } = await import(
+    "../src/receipts/index.js"
+  );
+
+  assert.equal(RECEIPTS_ENABLED, false);
+  assert.equal(verifyReceiptToken(undefined), false);
+  assert.equal(verifyReceiptToken(""), false);
+  assert.equal(verifyReceiptToken("anything"), false);
+});
+
+test("receipts for a message ID not stored yet are answered with a 503", async () => {
+  const { ingestReceipts, receiptsResponseStatus } = await import(
+    "../src/receipts/index.js"
+  );
+  const { default: mongoose } = await import("mongoose");
+  // The provider call has not returned, so no message has this ID yet
+  mongoose.model("Message").findOne = async () => null;
+
+  const results = await ingestReceipts("http", {
+    id: "mock_1",
+    status: "delivered",
+  });
+
+  assert.equal(results[0].reason, "not_found");
+  assert.equal(receiptsResponseStatus(results), 503);
+  assert.equal(
+    receiptsResponseStatus(
+      await ingestReceipts("http", { id: "mock_1", status: "queued" })
+    ),
+    200
+  );
+});
@@ -0,0 +1,20 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { throttleDelivery } from "../src/throttle.js";
+
+test("deliveries are spaced at the channel's default rate", async () => {
+  // 50/1 for SMS: one delivery every 20ms
+  const startedAt = Date.now();
+  await Promise.all(Array.from({ length: 6 }, () => throttleDelivery("sms")));
+
+  assert.ok(Date.now() - startedAt >= 95);
+});
+
+test("channels are throttled independently", async () => {
+  await Promise.all(Array.from({ length: 50 }, () => throttleDelivery("sms")));
+
+  const startedAt = Date.now();
+  await throttleDelivery("email");
+
+  assert.ok(Date.now() - startedAt < 20);
+});
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { test } from "node:test";
+import { assertPublicUrl, postToPublicUrl } from "../src/webhookTarget.js";
+
+test("webhook URLs on internal addresses are refused", async () => {
+  for (const url of [
+    "http://127.0.0.1/hook",
+    "http://localhost:4020/webhooks",
+    "http://10.1.2.3/hook",
+    "http://172.20.0.5/hook",
+    "http://192.168.1.10/hook",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://100.100.100.200/hook",
+    "http://2130706433/hook",
+    "http://[::1]/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+    "http://[fd00::1]/hook",
+    "http://[fe80::1]/hook",
+    "http://[64:ff9b::7f00:1]/hook",
+    "http://[2002:7f00:1::1]/hook",
+  ]) {
+    await assert.rejects(assertPublicUrl(url), /private address/, url);
+  }
+});
+
+test("public addresses and non-http schemes", async () => {
+  await assertPublicUrl("https://93.184.216.34/hook");
+  await assertPublicUrl("http://[2606:2800:220:1:248:1893:25c8:1946]/hook");
+  await assert.rejects(
+    assertPublicUrl("ftp://93.184.216.34/hook"),
+    /must use http or https/
+  );
+});
+
+test("sends to internal hosts fail before a request is made", async () => {
+  let requests = 0;
+  const server = createServer((req, res) => {
+    requests++;
+    res.end();
+  }).listen(0);
+  const { port } = server.address();
+
+  try {
+    for (const host of ["127.0.0.1", "localhost"]) {
+      await assert.rejects(
+        postToPublicUrl(`http://${host}:${port}/hook`, {
+          headers: { "Content-Type": "application/json" },
+          body: "{}",
+          timeoutMs: 1000,
+        }),
+        /private address/
+      );
+    }
+    assert.equal(requests, 0);
+  } finally {
+    server.close();
+  }
+});
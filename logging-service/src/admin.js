@@ -0,0 +1,38 @@
+import { requireOperator } from "./auth.js";
+import { RETENTION_DAYS, listLogIndices, runRetention } from "./retention.js";
+
+// Index administration. Indices hold every tenant's logs and a run applies
+// the configured retention to all of them, so these endpoints take the
+// platform operator token instead of a tenant API key.
+export function registerAdminRoutes(app) {
+  app.use("/admin", requireOperator);
+
+  // List the log indices with their size and rollup state
+  app.get("/admin/indices", async (req, res) => {
+    try {
+      const indices = await listLogIndices();
+
+      res.json({
+        retentionDays: RETENTION_DAYS,
+        totalSizeBytes: indices.reduce(
+          (total, { sizeBytes }) => total + sizeBytes,
+          0
+        ),
+        indices,
+      });
+    } catch (error) {
+      console.error("Error listing indices:", error.message);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Enforce retention now instead of waiting for the next scheduled run
+  app.post("/admin/retention/run", async (req, res) => {
+    try {
+      res.json(await runRetention());
+    } catch (error) {
+      console.error("Error enforcing retention:", error.message);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+}
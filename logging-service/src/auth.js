@@ -0,0 +1,80 @@
+import {
+  apiKeyModel,
+  createApiKeyResolver,
+  extractApiKey,
+  hasScope,
+} from "@communication-aggregator/shared";
+import { timingSafeEqual } from "crypto";
+import mongoose from "mongoose";
+
+const MONGODB_URL =
+  process.env.MONGODB_URL || "mongodb://localhost:27017/communication";
+const CACHE_TTL_MS = parseInt(process.env.API_KEY_CACHE_TTL_MS) || 10000;
+const CACHE_MAX_ENTRIES =
+  parseInt(process.env.API_KEY_CACHE_MAX_ENTRIES) || 10000;
+const OPERATOR_TOKEN = process.env.OPERATOR_TOKEN;
+
+// Keys are issued by task-router-service; this service only resolves them
+const apiKeys = createApiKeyResolver(apiKeyModel(mongoose), {
+  ttlMs: CACHE_TTL_MS,
+  maxEntries: CACHE_MAX_ENTRIES,
+});
+
+export async function initializeAuth() {
+  await mongoose.connect(MONGODB_URL);
+  console.log("Connected to MongoDB (API keys)");
+}
+
+export async function closeAuth() {
+  await mongoose.connection.close();
+}
+
+// Express middleware that resolves the API key from "Authorization: Bearer"
+// or "x-api-key" and requires the given scope ("admin" implies every scope).
+// Sets req.auth to { keyId, tenantId, scopes }.
+export function requireScope(scope) {
+  return async (req, res, next) => {
+    try {
+      const auth = await apiKeys.resolve(extractApiKey(req.headers));
+
+      if (!auth) {
+        return res.status(401).json({ error: "A valid API key is required" });
+      }
+
+      if (!hasScope(auth, scope)) {
+        return res
+          .status(403)
+          .json({ error: `API key lacks the "${scope}" scope` });
+      }
+
+      req.auth = auth;
+      next();
+    } catch (error) {
+      console.error("Error resolving API key:", error.message);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+// Express middleware for platform operator endpoints, e.g. index
+// administration across all tenants. Tenant API keys never pass, not even
+// admin keys; the caller sends OPERATOR_TOKEN as "x-operator-token". While it
+// is unset the endpoints refuse every request.
+export function requireOperator(req, res, next) {
+  if (!OPERATOR_TOKEN) {
+    return res
+      .status(403)
+      .json({ error: "Operator endpoints are off: OPERATOR_TOKEN is not set" });
+  }
+
+  const token = req.get("x-operator-token");
+  const expected = Buffer.from(OPERATOR_TOKEN);
+  const actual = Buffer.from(token || "");
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return res
+      .status(403)
+      .json({ error: "A valid operator token is required" });
+  }
+
+  next();
+}
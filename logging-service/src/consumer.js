@@ -1,11 +1,44 @@
+import {
+  LOG_TOPIC,
+  SpanKind,
+  extractContext,
+  readLogEvent,
+} from "@communication-aggregator/shared";
+import { trace } from "@opentelemetry/api";
+import { createHash } from "crypto";
 import { Kafka } from "kafkajs";
-import { indexLog } from "./elasticsearch.js";
+import { checkClusterHealth, indexLogs } from "./elasticsearch.js";
+import {
+  bulkFailures,
+  consumerPaused,
+  logsConsumed,
+  logsInvalid,
+} from "./metrics.js";
+import { withSpan } from "./tracing.js";
 
 const KAFKA_BROKER = process.env.KAFKA_BROKER || "localhost:9092";
 const KAFKA_GROUP_ID = "logging-service-group";
-const KAFKA_TOPIC = "communication-logs";
+
+// Logs per bulk request
+const BATCH_SIZE = parseInt(process.env.LOG_BATCH_SIZE) || 500;
+// Longest a fetch waits for a fuller batch before logs are indexed
+const FLUSH_INTERVAL_MS = parseInt(process.env.LOG_FLUSH_INTERVAL_MS) || 1000;
+// Data a fetch waits for (a few hundred logs) unless the interval passes first
+const FETCH_MIN_BYTES = 64 * 1024;
+
+// Pause before retrying a failed bulk write, doubling up to the maximum
+const RETRY_BACKOFF_MS = parseInt(process.env.ES_RETRY_BACKOFF_MS) || 1000;
+const MAX_RETRY_BACKOFF_MS =
+  parseInt(process.env.ES_MAX_RETRY_BACKOFF_MS) || 30000;
 
 let consumer;
+let consumerReady = false;
+
+// Set while Elasticsearch is unavailable; failedAttempts drives the backoff
+let paused = false;
+let failedAttempts = 0;
+let resumeTimer;
+let stopping = false;
 
 export async function initializeConsumer() {
   try {
@@ -22,6 +55,20 @@ export async function initializeConsumer() {
       groupId: KAFKA_GROUP_ID,
       sessionTimeout: 30000,
       heartbeatInterval: 3000,
+      minBytes: FETCH_MIN_BYTES,
+      maxWaitTimeInMs: FLUSH_INTERVAL_MS,
+    });
+
+    // Ready while joined to the group; a crash kafkajs does not restart
+    // from leaves it down until the service restarts
+    consumer.on(consumer.events.GROUP_JOIN, () => {
+      consumerReady = true;
+    });
+    consumer.on(consumer.events.CRASH, ({ payload }) => {
+      if (!payload.restart) consumerReady = false;
+    });
+    consumer.on(consumer.events.STOP, () => {
+      consumerReady = false;
     });
 
     await consumer.connect();
@@ -29,54 +76,173 @@ export async function initializeConsumer() {
 
     // Subscribe to logs topic
     await consumer.subscribe({
-      topic: KAFKA_TOPIC,
+      topic: LOG_TOPIC,
       fromBeginning: false,
     });
 
-    // Start consuming messages
+    // Offsets are resolved by hand once a bulk write succeeds and committed
+    // right away (threshold 1), so a log is never committed before it is
+    // indexed
     await consumer.run({
-      eachMessage: async ({ topic, partition, message }) => {
-        try {
-          const logData = JSON.parse(message.value.toString());
+      eachBatchAutoResolve: false,
+      autoCommitThreshold: 1,
+      eachBatch: processLogBatch,
+    });
+
+    console.log(`Subscribed to topic: ${LOG_TOPIC}`, {
+      batchSize: BATCH_SIZE,
+      flushInterval: `${FLUSH_INTERVAL_MS}ms`,
+    });
+  } catch (error) {
+    console.error("Failed to initialize Kafka consumer:", error.message);
+    throw error;
+  }
+}
+
+// Indexes a fetched batch in chunks of BATCH_SIZE, committing after each
+// chunk. When a bulk write fails the rest of the batch is left unresolved;
+// kafkajs fetches it again from the last committed chunk once the consumer
+// resumes.
+async function processLogBatch({
+  batch,
+  resolveOffset,
+  heartbeat,
+  commitOffsetsIfNecessary,
+  isRunning,
+  isStale,
+}) {
+  for (let i = 0; i < batch.messages.length; i += BATCH_SIZE) {
+    if (paused || !isRunning() || isStale()) return;
+
+    const messages = batch.messages.slice(i, i + BATCH_SIZE);
+    try {
+      await indexMessages(batch.topic, batch.partition, messages);
+    } catch (error) {
+      bulkFailures.inc();
+      pauseConsumer(error);
+      return;
+    }
+    failedAttempts = 0;
 
-          console.log("Received log:", {
-            service: logData.service,
-            level: logData.level,
-            traceId: logData.traceId,
-            message: logData.message,
-          });
+    resolveOffset(messages[messages.length - 1].offset);
+    await commitOffsetsIfNecessary();
+    await heartbeat();
+  }
+}
+
+// One consumer span per bulk request, linked to the trace of every log in it
+function indexMessages(topic, partition, messages) {
+  const links = messages
+    .map((message) => trace.getSpanContext(extractContext(message.headers)))
+    .filter(Boolean)
+    .map((context) => ({ context }));
 
-          // Index log in Elasticsearch
-          await indexLog(logData);
+  return withSpan(
+    `process ${topic}`,
+    {
+      kind: SpanKind.CONSUMER,
+      links,
+      attributes: {
+        "messaging.system": "kafka",
+        "messaging.operation": "process",
+        "messaging.destination.name": topic,
+        "messaging.destination.partition.id": String(partition),
+        "messaging.batch.message_count": messages.length,
+      },
+    },
+    async () => {
+      const entries = [];
+      for (const message of messages) {
+        logsConsumed.inc();
 
-          console.log("Log indexed successfully:", logData.traceId);
+        try {
+          entries.push({ id: documentId(message), event: readLog(message) });
         } catch (error) {
+          // Skipped: a malformed log does not become valid on a retry
+          logsInvalid.inc();
           console.error("Error processing log message:", error.message);
-          // Don't throw - continue processing other messages
         }
-      },
-    });
+      }
 
-    console.log(`Subscribed to topic: ${KAFKA_TOPIC}`);
-  } catch (error) {
-    console.error("Failed to initialize Kafka consumer:", error.message);
-    throw error;
+      if (entries.length === 0) return;
+
+      await indexLogs(entries);
+      console.log(`Indexed ${entries.length} logs`, {
+        partition,
+        lastOffset: messages[messages.length - 1].offset,
+      });
+    }
+  );
+}
+
+// Upgrades the log to the current event version. Unversioned logs without a
+// timestamp get the Kafka message's, so a redelivered copy is indexed
+// identically.
+function readLog(message) {
+  const event = JSON.parse(message.value.toString());
+  event.timestamp ??= new Date(Number(message.timestamp)).toISOString();
+  return readLogEvent(event);
+}
+
+// Document ID derived from the Kafka message, so redelivered logs (and
+// producer retries that sent the same log twice) overwrite one document
+function documentId(message) {
+  return createHash("sha256").update(message.value).digest("hex");
+}
+
+// Stops fetching until Elasticsearch is healthy again, backing off
+// exponentially between health checks
+function pauseConsumer(error) {
+  failedAttempts++;
+  const delay = Math.min(
+    RETRY_BACKOFF_MS * 2 ** (failedAttempts - 1),
+    MAX_RETRY_BACKOFF_MS
+  );
+
+  if (!paused) {
+    paused = true;
+    consumer.pause([{ topic: LOG_TOPIC }]);
+    consumerPaused.set(1);
   }
+
+  console.error(
+    `Elasticsearch unavailable, consumer paused for ${delay}ms:`,
+    error.message
+  );
+  resumeTimer = setTimeout(resumeWhenHealthy, delay);
 }
 
-// Graceful shutdown
-process.on("SIGINT", async () => {
-  console.log("Disconnecting Kafka consumer...");
-  if (consumer) {
-    await consumer.disconnect();
+async function resumeWhenHealthy() {
+  resumeTimer = null;
+  if (stopping) return;
+
+  try {
+    await checkClusterHealth();
+  } catch (error) {
+    pauseConsumer(error);
+    return;
   }
-  process.exit(0);
-});
 
-process.on("SIGTERM", async () => {
-  console.log("Disconnecting Kafka consumer...");
+  // The next bulk write resets the backoff once it succeeds
+  paused = false;
+  consumer.resume([{ topic: LOG_TOPIC }]);
+  consumerPaused.set(0);
+  console.log("Elasticsearch available, consumer resumed");
+}
+
+// Readiness probe for /health/ready, see health.js
+export async function checkConsumer() {
+  if (!consumerReady) throw new Error("Consumer not in group");
+}
+
+// Stops fetching, lets the bulk write in progress finish and commits its
+// offsets before leaving the group
+export async function stopConsumer() {
+  stopping = true;
+  clearTimeout(resumeTimer);
+
   if (consumer) {
+    console.log("Disconnecting Kafka consumer...");
     await consumer.disconnect();
   }
-  process.exit(0);
-});
+}
@@ -1,8 +1,31 @@
 import { Client } from "@elastic/elasticsearch";
+import { indexDuration, indexErrors, logsIndexed } from "./metrics.js";
 
 const ELASTICSEARCH_URL =
   process.env.ELASTICSEARCH_URL || "http://localhost:9200";
-const INDEX_PREFIX = "communication-logs";
+export const INDEX_PREFIX = "communication-logs";
+
+// Field mappings of the daily log indices. Every field here is declared in
+// the shared log event schema with a matching type (see test/).
+export const LOG_MAPPINGS = {
+  timestamp: { type: "date" },
+  service: { type: "keyword" },
+  level: { type: "keyword" },
+  message: { type: "text" },
+  tenantId: { type: "keyword" },
+  traceId: { type: "keyword" },
+  subtraceId: { type: "keyword" },
+  messageId: { type: "keyword" },
+  channel: { type: "keyword" },
+  queueName: { type: "keyword" },
+  recipient: { type: "keyword" },
+  subject: { type: "text" },
+  body: { type: "text" },
+  error: { type: "text" },
+  duration: { type: "keyword" },
+  retryCount: { type: "integer" },
+  metadata: { type: "object", enabled: false },
+};
 
 let esClient;
 
@@ -29,83 +52,81 @@ export async function ensureIndexTemplate() {
   try {
     const templateName = "communication-logs-template";
 
-    // Check if template exists
-    const templateExists = await esClient.indices.existsIndexTemplate({
+    // Always put the template so mapping changes (e.g. tenantId) reach the
+    // next daily index; existing indices keep their mappings
+    await esClient.indices.putIndexTemplate({
       name: templateName,
-    });
-
-    if (!templateExists) {
-      // Create index template
-      await esClient.indices.putIndexTemplate({
-        name: templateName,
-        body: {
-          index_patterns: [`${INDEX_PREFIX}-*`],
-          template: {
-            settings: {
-              number_of_shards: 1,
-              number_of_replicas: 0,
-              "index.refresh_interval": "5s",
-            },
-            mappings: {
-              properties: {
-                timestamp: { type: "date" },
-                service: { type: "keyword" },
-                level: { type: "keyword" },
-                message: { type: "text" },
-                traceId: { type: "keyword" },
-                subtraceId: { type: "keyword" },
-                messageId: { type: "keyword" },
-                channel: { type: "keyword" },
-                queueName: { type: "keyword" },
-                recipient: { type: "keyword" },
-                subject: { type: "text" },
-                body: { type: "text" },
-                error: { type: "text" },
-                duration: { type: "keyword" },
-                retryCount: { type: "integer" },
-                metadata: { type: "object", enabled: false },
-              },
-            },
+      body: {
+        index_patterns: [`${INDEX_PREFIX}-*`],
+        template: {
+          settings: {
+            number_of_shards: 1,
+            number_of_replicas: 0,
+            "index.refresh_interval": "5s",
           },
+          mappings: { properties: LOG_MAPPINGS },
         },
-      });
+      },
+    });
 
-      console.log("Index template created successfully");
-    } else {
-      console.log("Index template already exists");
-    }
+    console.log("Index template created or updated");
   } catch (error) {
     console.error("Error creating index template:", error.message);
     throw error;
   }
 }
 
-export async function indexLog(logData) {
-  try {
-    // Generate index name based on date (daily indices)
-    const date = new Date().toISOString().split("T")[0];
-    const indexName = `${INDEX_PREFIX}-${date}`;
-
-    // Index the log document
-    await esClient.index({
-      index: indexName,
-      document: {
-        ...logData,
-        "@timestamp": logData.timestamp || new Date().toISOString(),
-        indexed_at: new Date().toISOString(),
-      },
-    });
+// Indexes log events ({ id, event }) with one bulk request. Each document
+// goes to the daily index of its event's timestamp under a deterministic ID,
+// so indexing the same events again overwrites them instead of adding
+// duplicates. Documents Elasticsearch refuses outright (e.g. a mapping
+// conflict) are counted and skipped; a failed request or a temporary item
+// failure (429, 5xx) throws so the caller retries the whole batch.
+export async function indexLogs(entries) {
+  const indexedAt = new Date().toISOString();
+  const operations = entries.flatMap(({ id, event }) => [
+    { index: { _index: indexName(event.timestamp), _id: id } },
+    { ...event, "@timestamp": event.timestamp, indexed_at: indexedAt },
+  ]);
 
-    console.log(`Log indexed to ${indexName}:`, {
-      traceId: logData.traceId,
-      service: logData.service,
-      level: logData.level,
-    });
-  } catch (error) {
-    console.error("Failed to index log:", error.message);
-    // Don't throw - log the error but continue
-    console.error("Failed log data:", JSON.stringify(logData, null, 2));
+  const endTimer = indexDuration.startTimer();
+  const response = await esClient.bulk({ operations });
+  endTimer();
+
+  const failures = response.items.map(({ index }) => index);
+  const temporary = failures.find(
+    ({ error, status }) => error && (status === 429 || status >= 500)
+  );
+  if (temporary) {
+    throw new Error(
+      `Bulk indexing failed with status ${temporary.status}: ${temporary.error.reason}`
+    );
   }
+
+  failures.forEach(({ error }, index) => {
+    const { event } = entries[index];
+
+    if (error) {
+      indexErrors.inc();
+      console.error("Elasticsearch rejected log:", error.reason);
+      console.error("Rejected log data:", JSON.stringify(event, null, 2));
+      return;
+    }
+
+    logsIndexed.inc({ source_service: event.service, level: event.level });
+  });
+}
+
+// Throws when the cluster is unreachable or red
+export async function checkClusterHealth() {
+  const { status } = await esClient.cluster.health();
+  if (status === "red") throw new Error("Cluster status red");
+}
+
+// Daily indices by event date, e.g. communication-logs-2026-01-15
+function indexName(timestamp) {
+  const date = new Date(timestamp).toISOString().split("T")[0];
+  return `${INDEX_PREFIX}-${date}`;
 }
 
 export function getClient() {
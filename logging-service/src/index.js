@@ -1,24 +1,48 @@
+import {
+  registerHealthRoutes,
+  startDraining,
+} from "@communication-aggregator/shared";
 import cors from "cors";
 import dotenv from "dotenv";
 import express from "express";
+import mongoose from "mongoose";
 
-import { initializeConsumer } from "./consumer.js";
+import { registerAdminRoutes } from "./admin.js";
+import { closeAuth, initializeAuth, requireScope } from "./auth.js";
+import { checkConsumer, initializeConsumer, stopConsumer } from "./consumer.js";
 import {
+  checkClusterHealth,
   ensureIndexTemplate,
   getClient,
   initializeElasticsearch,
 } from "./elasticsearch.js";
+import { register } from "./metrics.js";
+import {
+  ROLLUP_INDEX,
+  ensureRollupIndex,
+  startRetentionJob,
+  stopRetentionJob,
+} from "./retention.js";
+import { initTracing, shutdownTracing, traceRequests } from "./tracing.js";
 
 dotenv.config();
 
 const PORT = process.env.PORT || 4002;
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000;
+
+let httpServer;
+let shuttingDown = false;
 
 async function startService() {
   try {
     // Initialize Express app
     const app = express();
 
+    // Trace context propagation and OTLP span export
+    initTracing();
+
     // Middleware
+    app.use(traceRequests);
     app.use(cors());
     app.use(express.json());
     app.use(express.urlencoded({ extended: true }));
@@ -28,34 +52,37 @@ async function startService() {
     // Initialize Elasticsearch
     await initializeElasticsearch();
     await ensureIndexTemplate();
+    await ensureRollupIndex();
     console.log("Elasticsearch initialized");
 
+    // API keys are resolved against MongoDB
+    await initializeAuth();
+
     // Initialize Kafka consumer
     await initializeConsumer();
     console.log("Kafka consumer initialized");
 
-    // Health check endpoint
-    app.get("/health", async (req, res) => {
-      try {
-        const esClient = getClient();
-        const esHealth = await esClient.cluster.health();
+    // Roll up and delete logs past their retention
+    startRetentionJob();
 
-        res.json({
-          status: "healthy",
-          service: "logging-service",
-          elasticsearch: esHealth.status,
-          timestamp: new Date().toISOString(),
-        });
-      } catch (error) {
-        res.status(500).json({
-          status: "unhealthy",
-          service: "logging-service",
-          error: error.message,
-          timestamp: new Date().toISOString(),
-        });
-      }
+    // Prometheus scrape endpoint
+    app.get("/metrics", async (req, res) => {
+      res.set("Content-Type", register.contentType);
+      res.send(await register.metrics());
+    });
+
+    // Liveness and readiness probes
+    registerHealthRoutes(app, "logging-service", {
+      elasticsearch: checkClusterHealth,
+      kafka: checkConsumer,
+      mongodb: async () => {
+        await mongoose.connection.db.admin().ping();
+      },
     });
 
+    // Log queries are scoped to the caller's tenant
+    app.use("/logs", requireScope("read"));
+
     // Search logs by traceId
     app.get("/logs/trace/:traceId", async (req, res) => {
       try {
@@ -66,7 +93,10 @@ async function startService() {
           index: "communication-logs-*",
           body: {
             query: {
-              match: { traceId },
+              bool: {
+                must: [{ match: { traceId } }],
+                filter: [{ term: { tenantId: req.auth.tenantId } }],
+              },
             },
             sort: [{ timestamp: "asc" }],
             size: 100,
@@ -106,7 +136,12 @@ async function startService() {
         const result = await esClient.search({
           index: "communication-logs-*",
           body: {
-            query: must.length > 0 ? { bool: { must } } : { match_all: {} },
+            query: {
+              bool: {
+                must,
+                filter: [{ term: { tenantId: req.auth.tenantId } }],
+              },
+            },
             sort: [{ timestamp: "desc" }],
             size,
           },
@@ -132,6 +167,11 @@ async function startService() {
           index: "communication-logs-*",
           body: {
             size: 0,
+            query: {
+              bool: {
+                filter: [{ term: { tenantId: req.auth.tenantId } }],
+              },
+            },
             aggs: {
               by_service: {
                 terms: { field: "service" },
@@ -158,11 +198,51 @@ async function startService() {
       }
     });
 
+    // Daily rollups of logs, kept after the raw logs are deleted
+    app.get("/logs/rollups", async (req, res) => {
+      try {
+        const esClient = getClient();
+        const { service, level, channel, from, to } = req.query;
+
+        const filter = [{ term: { tenantId: req.auth.tenantId } }];
+        if (service) filter.push({ term: { service } });
+        if (level) filter.push({ term: { level } });
+        if (channel) filter.push({ term: { channel } });
+        if (from || to) {
+          filter.push({ range: { date: { gte: from, lte: to } } });
+        }
+
+        const result = await esClient.search({
+          index: ROLLUP_INDEX,
+          query: { bool: { filter } },
+          sort: [{ date: "desc" }, { count: "desc" }],
+          size: Math.min(parseInt(req.query.size) || 100, 1000),
+        });
+
+        res.json({
+          count: result.hits.hits.length,
+          rollups: result.hits.hits.map(({ _source }) => ({
+            date: _source.date,
+            service: _source.service,
+            channel: _source.channel,
+            level: _source.level,
+            count: _source.count,
+          })),
+        });
+      } catch (error) {
+        console.error("Error getting rollups:", error.message);
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+
+    // Index administration, for platform operators only
+    registerAdminRoutes(app);
+
     // Start Express server
-    app.listen(PORT, () => {
+    httpServer = app.listen(PORT, () => {
       console.log(`🚀 Logging Service ready at http://localhost:${PORT}`);
       console.log(
-        `📊 Health check available at http://localhost:${PORT}/health`
+        `📊 Health check available at http://localhost:${PORT}/health/ready`
       );
     });
   } catch (error) {
@@ -171,15 +251,44 @@ async function startService() {
   }
 }
 
-// Graceful shutdown
-process.on("SIGINT", async () => {
-  console.log("Shutting down gracefully...");
-  process.exit(0);
-});
+// Graceful shutdown: fail readiness, stop taking requests, let the log being
+// indexed finish and commit its offset, then close connections. Exits with
+// an error if draining takes longer than SHUTDOWN_TIMEOUT_MS.
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log("Shutting down gracefully...", { signal });
+  startDraining();
+
+  setTimeout(() => {
+    console.error(`Shutdown timed out after ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  try {
+    if (httpServer) {
+      // Waits for in-flight requests; idle keep-alive sockets are dropped
+      const closed = new Promise((resolve) => httpServer.close(resolve));
+      httpServer.closeIdleConnections();
+      await closed;
+    }
+
+    await stopConsumer();
+    await stopRetentionJob();
+    await closeAuth();
+    await getClient()?.close();
+    await shutdownTracing();
+
+    console.log("Shutdown complete");
+    process.exit(0);
+  } catch (error) {
+    console.error("Error during shutdown:", error.message);
+    process.exit(1);
+  }
+}
 
-process.on("SIGTERM", async () => {
-  console.log("Shutting down gracefully...");
-  process.exit(0);
-});
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
 
 startService();
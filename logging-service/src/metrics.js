@@ -0,0 +1,52 @@
+import client from "prom-client";
+
+// Prometheus metrics served on GET /metrics, alongside the default Node.js
+// process metrics
+export const register = new client.Registry();
+register.setDefaultLabels({ service: "logging-service" });
+client.collectDefaultMetrics({ register });
+
+export const logsConsumed = new client.Counter({
+  name: "logging_kafka_messages_consumed_total",
+  help: "Log messages read from Kafka",
+  registers: [register],
+});
+
+export const logsInvalid = new client.Counter({
+  name: "logging_kafka_messages_invalid_total",
+  help: "Log messages that could not be parsed",
+  registers: [register],
+});
+
+export const logsIndexed = new client.Counter({
+  name: "logging_es_indexed_total",
+  help: "Log documents indexed in Elasticsearch",
+  labelNames: ["source_service", "level"],
+  registers: [register],
+});
+
+export const indexErrors = new client.Counter({
+  name: "logging_es_index_errors_total",
+  help: "Log documents Elasticsearch rejected and that were skipped",
+  registers: [register],
+});
+
+export const indexDuration = new client.Histogram({
+  name: "logging_es_index_duration_seconds",
+  help: "Time taken by Elasticsearch bulk requests",
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register],
+});
+
+export const bulkFailures = new client.Counter({
+  name: "logging_es_bulk_failures_total",
+  help: "Bulk requests that failed and will be retried",
+  registers: [register],
+});
+
+// 1 while consumption is paused because Elasticsearch is unavailable
+export const consumerPaused = new client.Gauge({
+  name: "logging_consumer_paused",
+  help: "Whether the Kafka consumer is paused waiting for Elasticsearch",
+  registers: [register],
+});
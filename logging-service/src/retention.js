@@ -0,0 +1,232 @@
+import { createHash } from "crypto";
+import { INDEX_PREFIX, getClient } from "./elasticsearch.js";
+
+const RETENTION_INTERVAL_MS =
+  parseInt(process.env.LOG_RETENTION_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Days logs of each level are kept. A daily index is rolled up once its
+// shortest-lived level expires and deleted once every level has; logs with
+// any other level stay until then.
+export const RETENTION_DAYS = {
+  debug: parseInt(process.env.LOG_RETENTION_DEBUG_DAYS) || 3,
+  info: parseInt(process.env.LOG_RETENTION_INFO_DAYS) || 7,
+  warn: parseInt(process.env.LOG_RETENTION_WARN_DAYS) || 30,
+  error: parseInt(process.env.LOG_RETENTION_ERROR_DAYS) || 90,
+};
+
+// Daily aggregates outlive the raw logs; the name keeps them out of the
+// communication-logs-* searches
+export const ROLLUP_INDEX = "communication-log-rollups";
+
+const DAILY_INDEX = new RegExp(`^${INDEX_PREFIX}-(\\d{4}-\\d{2}-\\d{2})$`);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let retentionTimer;
+let currentRun = null;
+
+export async function ensureRollupIndex() {
+  const esClient = getClient();
+  if (await esClient.indices.exists({ index: ROLLUP_INDEX })) return;
+
+  await esClient.indices.create({
+    index: ROLLUP_INDEX,
+    settings: { number_of_shards: 1, number_of_replicas: 0 },
+    mappings: {
+      properties: {
+        date: { type: "date", format: "yyyy-MM-dd" },
+        tenantId: { type: "keyword" },
+        service: { type: "keyword" },
+        channel: { type: "keyword" },
+        level: { type: "keyword" },
+        count: { type: "long" },
+        sourceIndex: { type: "keyword" },
+        rolledUpAt: { type: "date" },
+      },
+    },
+  });
+  console.log(`Rollup index ${ROLLUP_INDEX} created`);
+}
+
+// Enforces retention right away and then every RETENTION_INTERVAL_MS
+export function startRetentionJob() {
+  if (retentionTimer) return;
+
+  const run = () =>
+    runRetention().catch((error) => {
+      console.error("Log retention run failed:", error.message);
+    });
+
+  run();
+  retentionTimer = setInterval(run, RETENTION_INTERVAL_MS);
+
+  console.log("Log retention job started", {
+    interval: `${RETENTION_INTERVAL_MS}ms`,
+    retentionDays: RETENTION_DAYS,
+  });
+}
+
+// Stops the job and waits for a run in progress to finish
+export async function stopRetentionJob() {
+  if (retentionTimer) {
+    clearInterval(retentionTimer);
+    retentionTimer = null;
+  }
+  await currentRun?.catch(() => {});
+}
+
+// Rolls up, purges and deletes the daily indices that are due. Calls made
+// while a run is in progress share its result. Resolves to
+// { rolledUp, purged, deleted }.
+export function runRetention() {
+  currentRun ??= enforceRetention().finally(() => {
+    currentRun = null;
+  });
+  return currentRun;
+}
+
+// What retention requires of a daily index on `today` (both YYYY-MM-DD)
+export function retentionPlan(indexDate, today) {
+  const age = Math.round((Date.parse(today) - Date.parse(indexDate)) / DAY_MS);
+  const days = Object.values(RETENTION_DAYS);
+
+  return {
+    age,
+    rollUp: age > Math.min(...days),
+    deleteIndex: age > Math.max(...days),
+    purgeLevels: Object.keys(RETENTION_DAYS).filter(
+      (level) => age > RETENTION_DAYS[level]
+    ),
+  };
+}
+
+// Daily log indices (oldest first) with their size and rollup state
+export async function listLogIndices() {
+  const esClient = getClient();
+  const [rows, mappings] = await Promise.all([
+    esClient.cat.indices({
+      index: `${INDEX_PREFIX}-*,${ROLLUP_INDEX}`,
+      format: "json",
+      bytes: "b",
+    }),
+    esClient.indices.getMapping({ index: `${INDEX_PREFIX}-*` }),
+  ]);
+
+  return rows
+    .map((row) => ({
+      index: row.index,
+      date: row.index.match(DAILY_INDEX)?.[1] || null,
+      health: row.health,
+      status: row.status,
+      docs: Number(row["docs.count"]),
+      sizeBytes: Number(row["store.size"]),
+      rolledUpAt: mappings[row.index]?.mappings._meta?.rolled_up_at || null,
+    }))
+    .sort((a, b) => a.index.localeCompare(b.index));
+}
+
+async function enforceRetention() {
+  const esClient = getClient();
+  const today = new Date().toISOString().split("T")[0];
+  const report = { rolledUp: [], purged: [], deleted: [] };
+
+  const indices = (await listLogIndices()).filter(({ date }) => date);
+
+  for (const { index, date, rolledUpAt } of indices) {
+    const plan = retentionPlan(date, today);
+    if (!plan.rollUp) continue;
+
+    // Aggregates are taken once, before any of the index's logs are removed
+    if (!rolledUpAt) {
+      await rollUpIndex(index, date);
+      report.rolledUp.push(index);
+    }
+
+    if (plan.deleteIndex) {
+      await esClient.indices.delete({ index });
+      report.deleted.push(index);
+      continue;
+    }
+
+    const { deleted } = await esClient.deleteByQuery({
+      index,
+      query: { terms: { level: plan.purgeLevels } },
+      conflicts: "proceed",
+      refresh: true,
+    });
+    if (deleted > 0) {
+      report.purged.push({ index, levels: plan.purgeLevels, deleted });
+    }
+  }
+
+  if (Object.values(report).some((entries) => entries.length > 0)) {
+    console.log("Log retention enforced", report);
+  }
+  return report;
+}
+
+// Writes one document per tenant, service, channel and level with the day's
+// log count, then marks the index as rolled up. Document IDs are derived from
+// the group, so a rollup interrupted before the mark is simply redone.
+async function rollUpIndex(index, date) {
+  const esClient = getClient();
+  const rolledUpAt = new Date().toISOString();
+  let after;
+  let groups = 0;
+
+  do {
+    const result = await esClient.search({
+      index,
+      size: 0,
+      aggs: {
+        groups: {
+          composite: {
+            size: 1000,
+            after,
+            sources: ["tenantId", "service", "channel", "level"].map(
+              (field) => ({
+                [field]: { terms: { field, missing_bucket: true } },
+              })
+            ),
+          },
+        },
+      },
+    });
+    const { buckets, after_key } = result.aggregations.groups;
+
+    if (buckets.length > 0) {
+      const response = await esClient.bulk({
+        operations: buckets.flatMap(({ key, doc_count }) => [
+          { index: { _index: ROLLUP_INDEX, _id: rollupId(date, key) } },
+          {
+            date,
+            ...key,
+            count: doc_count,
+            sourceIndex: index,
+            rolledUpAt,
+          },
+        ]),
+      });
+      if (response.errors) {
+        throw new Error(`Failed to write rollups for ${index}`);
+      }
+    }
+
+    groups += buckets.length;
+    after = after_key;
+  } while (after);
+
+  await esClient.indices.putMapping({
+    index,
+    _meta: { rolled_up_at: rolledUpAt },
+  });
+
+  console.log(`Rolled up ${index}`, { groups });
+}
+
+function rollupId(date, key) {
+  return createHash("sha256")
+    .update(
+      JSON.stringify([date, key.tenantId, key.service, key.channel, key.level])
+    )
+    .digest("hex");
+}
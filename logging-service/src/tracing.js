@@ -0,0 +1,4 @@
+import { createTracing } from "@communication-aggregator/shared";
+
+export const { tracer, initTracing, shutdownTracing, withSpan, traceRequests } =
+  createTracing("logging-service");
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import express from "express";
+
+process.env.OPERATOR_TOKEN = "operator-token-for-tests";
+
+const { registerAdminRoutes } = await import("../src/admin.js");
+const { requireOperator } = await import("../src/auth.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  registerAdminRoutes(app);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+for (const [method, path] of [
+  ["GET", "/admin/indices"],
+  ["POST", "/admin/retention/run"],
+]) {
+  test(`${method} ${path} refuses a tenant admin key`, async () => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { authorization: "Bearer tenant-admin-key" },
+    });
+
+    assert.equal(response.status, 403);
+  });
+
+  test(`${method} ${path} refuses a wrong operator token`, async () => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { "x-operator-token": "not-the-operator-token" },
+    });
+
+    assert.equal(response.status, 403);
+  });
+}
+
+test("the operator token is let through", () => {
+  let passed = false;
+  requireOperator(
+    { get: () => process.env.OPERATOR_TOKEN },
+    {},
+    () => (passed = true)
+  );
+
+  assert.equal(passed, true);
+});
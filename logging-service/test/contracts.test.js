@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  LOG_EVENT_VERSION,
+  loadSchema,
+} from "@communication-aggregator/shared";
+import { LOG_MAPPINGS } from "../src/elasticsearch.js";
+
+const logEvent = loadSchema(`log-event.v${LOG_EVENT_VERSION}`);
+
+// JSON Schema types a field needs for Elasticsearch to accept its mapping
+const COMPATIBLE_TYPES = {
+  date: "string",
+  keyword: "string",
+  text: "string",
+  integer: "integer",
+  object: "object",
+};
+
+test("every mapped field is declared in the log event schema", () => {
+  for (const [field, { type }] of Object.entries(LOG_MAPPINGS)) {
+    const property = logEvent.properties[field];
+
+    assert.ok(property, `${field} is missing from the log event schema`);
+    assert.equal(
+      property.type,
+      COMPATIBLE_TYPES[type],
+      `${field} is mapped as ${type} but declared as ${property.type}`
+    );
+  }
+});
+
+test("date fields are validated as date-time strings", () => {
+  for (const [field, { type }] of Object.entries(LOG_MAPPINGS)) {
+    if (type === "date") {
+      assert.equal(logEvent.properties[field].format, "date-time", field);
+    }
+  }
+});
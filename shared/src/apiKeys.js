@@ -0,0 +1,96 @@
+import { createHash } from "crypto";
+
+// "admin" implies every other scope; "send" and "read" are independent so a
+// send-only key cannot read message bodies or manage anything
+export const SCOPES = ["send", "read", "admin"];
+
+export function hashApiKey(apiKey) {
+  return createHash("sha256").update(apiKey).digest("hex");
+}
+
+// Reads the key from "Authorization: Bearer <key>" or "x-api-key"
+export function extractApiKey(headers = {}) {
+  const authorization = headers.authorization || headers.Authorization;
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+
+  return headers["x-api-key"];
+}
+
+export function hasScope(auth, scope) {
+  return Boolean(
+    auth && (auth.scopes.includes(scope) || auth.scopes.includes("admin"))
+  );
+}
+
+// The ApiKey model (shared "apikeys" collection) on the caller's mongoose.
+// Services pass their own instance: the one this package would resolve is
+// never connected. Only the SHA-256 hash of a key is stored.
+export function apiKeyModel(mongoose) {
+  if (mongoose.models.ApiKey) return mongoose.models.ApiKey;
+
+  const apiKeySchema = new mongoose.Schema({
+    keyId: { type: String, required: true, unique: true },
+    tenantId: { type: String, required: true, index: true },
+    name: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true },
+    keyPrefix: { type: String, required: true },
+    scopes: [{ type: String, enum: SCOPES }],
+    revokedAt: Date,
+    createdAt: { type: Date, default: Date.now },
+  });
+
+  return mongoose.model("ApiKey", apiKeySchema);
+}
+
+// Resolves API keys to { keyId, tenantId, scopes }, or null when a key is
+// unknown or revoked. Known keys are cached for ttlMs in a least recently
+// used cache of at most maxEntries; unknown keys are never cached, so random
+// keys cannot grow it. forget(keyHash) drops a revoked key right away; other
+// services keep accepting it until their entry expires, so keep ttlMs short.
+export function createApiKeyResolver(
+  ApiKey,
+  { ttlMs = 10000, maxEntries = 10000 } = {}
+) {
+  const cache = new Map();
+
+  async function resolve(apiKey) {
+    if (!apiKey) return null;
+
+    const keyHash = hashApiKey(apiKey);
+    const cached = cache.get(keyHash);
+    if (cached) {
+      cache.delete(keyHash);
+      if (cached.expiresAt > Date.now()) {
+        // Re-inserted as the most recently used entry
+        cache.set(keyHash, cached);
+        return cached.auth;
+      }
+    }
+
+    const record = await ApiKey.findOne({ keyHash, revokedAt: null });
+    if (!record) return null;
+
+    const auth = {
+      keyId: record.keyId,
+      tenantId: record.tenantId,
+      scopes: record.scopes,
+    };
+    cache.set(keyHash, { auth, expiresAt: Date.now() + ttlMs });
+
+    // Maps iterate in insertion order, so the first key is the least
+    // recently used
+    if (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+
+    return auth;
+  }
+
+  function forget(keyHash) {
+    cache.delete(keyHash);
+  }
+
+  return { resolve, forget };
+}
@@ -0,0 +1,82 @@
+const PROBE_TIMEOUT_MS = parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS) || 2000;
+
+let draining = false;
+let failure;
+
+// Marks the service as shutting down; readiness fails from here on so load
+// balancers stop sending new work
+export function startDraining() {
+  draining = true;
+}
+
+// Fails liveness for good, for faults the service cannot recover from on its
+// own (e.g. a RabbitMQ connection that is never reopened), so the
+// orchestrator restarts it. The first reason is kept.
+export function failLiveness(reason) {
+  failure ??= reason;
+}
+
+// Runs every probe (name -> async function that throws when the dependency
+// is unavailable) with a timeout. Ready only when all pass and the service is
+// not draining.
+export async function checkReadiness(probes) {
+  const names = Object.keys(probes);
+  const outcomes = await Promise.allSettled(
+    names.map((name) => withTimeout(probes[name](), PROBE_TIMEOUT_MS))
+  );
+
+  const checks = {};
+  names.forEach((name, index) => {
+    checks[name] =
+      outcomes[index].status === "fulfilled"
+        ? { status: "up" }
+        : { status: "down", error: outcomes[index].reason.message };
+  });
+
+  const ready =
+    !draining && Object.values(checks).every(({ status }) => status === "up");
+
+  return { ready, draining, checks };
+}
+
+// GET /health/live answers as long as the process serves requests and no
+// fatal fault was reported; GET /health/ready (and the older /health) probe
+// the dependencies
+export function registerHealthRoutes(app, service, probes) {
+  app.get("/health/live", (req, res) => {
+    res.status(failure ? 503 : 200).json({
+      status: failure ? "failed" : "alive",
+      service,
+      error: failure,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  const ready = async (req, res) => {
+    const { ready, draining, checks } = await checkReadiness(probes);
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : draining ? "draining" : "unavailable",
+      service,
+      checks,
+      timestamp: new Date().toISOString(),
+    });
+  };
+  app.get("/health/ready", ready);
+  app.get("/health", ready);
+}
+
+// Resolves once check() returns true, polling every 50ms, e.g. to wait for
+// in-flight work while shutting down
+export async function waitUntil(check) {
+  while (!check()) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,47 @@
+export {
+  SCOPES,
+  apiKeyModel,
+  createApiKeyResolver,
+  extractApiKey,
+  hasScope,
+  hashApiKey,
+} from "./apiKeys.js";
+export {
+  failLiveness,
+  registerHealthRoutes,
+  startDraining,
+  waitUntil,
+} from "./health.js";
+export { createLogger } from "./logger.js";
+export {
+  LOG_EVENT_VERSION,
+  LOG_TOPIC,
+  createLogEvent,
+  publishLogEvents,
+  readLogEvent,
+} from "./logEvent.js";
+export {
+  QUEUE_MESSAGE_VERSION,
+  createQueueMessage,
+  readQueueMessage,
+  upgradeQueueMessage,
+} from "./queueMessage.js";
+export {
+  CHANNELS,
+  DEFAULT_PRIORITY,
+  PRIORITIES,
+  QUEUES,
+  laneQueue,
+  normalizePriority,
+} from "./queues.js";
+export {
+  SpanKind,
+  TRACE_PROPAGATOR,
+  createTracing,
+  currentSpanId,
+  currentTraceId,
+  extractContext,
+  failSpan,
+  injectContext,
+} from "./tracing.js";
+export { loadSchema } from "./validation.js";
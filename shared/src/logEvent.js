@@ -0,0 +1,55 @@
+import {
+  assertValid,
+  compact,
+  compileSchema,
+  upgradeVersion,
+} from "./validation.js";
+
+export const LOG_TOPIC = "communication-logs";
+
+// Version of schemas/log-event.v<N>.json that producers send, see
+// queueMessage.js for how versions move on
+export const LOG_EVENT_VERSION = 1;
+
+const validate = compileSchema(`log-event.v${LOG_EVENT_VERSION}`);
+
+const upgrades = {
+  // Unversioned events may lack a timestamp
+  0: (event) => ({
+    timestamp: new Date().toISOString(),
+    ...compact(event),
+    schemaVersion: 1,
+  }),
+};
+
+export function createLogEvent(event) {
+  return assertValid(
+    validate,
+    { ...compact(event), schemaVersion: LOG_EVENT_VERSION },
+    "log event"
+  );
+}
+
+export function readLogEvent(event) {
+  return assertValid(
+    validate,
+    upgradeVersion(event, LOG_EVENT_VERSION, upgrades, "log event"),
+    "log event"
+  );
+}
+
+// Validates the entries and sends them to the logs topic with a kafkajs
+// producer, keyed by trace ID. Throws if any entry is invalid or the send
+// fails; callers decide whether a lost log matters.
+export async function publishLogEvents(producer, entries, headers) {
+  if (entries.length === 0) return;
+
+  const messages = entries.map((entry) => ({
+    key: entry.traceId,
+    value: JSON.stringify(createLogEvent(entry)),
+    timestamp: Date.now().toString(),
+    headers,
+  }));
+
+  await producer.send({ topic: LOG_TOPIC, messages });
+}
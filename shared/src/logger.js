@@ -0,0 +1,38 @@
+// Structured JSON logger writing one line per entry to stdout
+class Logger {
+  constructor(service) {
+    this.service = service;
+  }
+
+  log(level, message, metadata = {}) {
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      service: this.service,
+      level,
+      message,
+      ...metadata,
+    };
+
+    console.log(JSON.stringify(logEntry));
+  }
+
+  info(message, metadata) {
+    this.log("info", message, metadata);
+  }
+
+  warn(message, metadata) {
+    this.log("warn", message, metadata);
+  }
+
+  error(message, metadata) {
+    this.log("error", message, metadata);
+  }
+
+  debug(message, metadata) {
+    this.log("debug", message, metadata);
+  }
+}
+
+export function createLogger(service) {
+  return new Logger(service);
+}
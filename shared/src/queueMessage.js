@@ -0,0 +1,47 @@
+import {
+  assertValid,
+  compact,
+  compileSchema,
+  upgradeVersion,
+} from "./validation.js";
+
+// Version of schemas/queue-message.v<N>.json that producers publish. A new
+// version needs its schema file and an upgrade from the previous version
+// below, so consumers keep reading messages queued before the change.
+export const QUEUE_MESSAGE_VERSION = 1;
+
+const validate = compileSchema(`queue-message.v${QUEUE_MESSAGE_VERSION}`);
+
+// Upgrades a message of version N to N + 1
+const upgrades = {
+  // Unversioned messages were MessageInput spread into the message, so they
+  // already carry the version 1 fields
+  0: (message) => ({ ...compact(message), schemaVersion: 1 }),
+};
+
+// Stamps the current version on a message about to be published and
+// validates it. Throws (with retryable = false) if it does not match.
+export function createQueueMessage(message) {
+  return assertValid(
+    validate,
+    { ...compact(message), schemaVersion: QUEUE_MESSAGE_VERSION },
+    "queue message"
+  );
+}
+
+// Upgrades a consumed (or stored) message to the current version and
+// validates it. Throws on an unknown version or a malformed message.
+export function readQueueMessage(message) {
+  return assertValid(validate, upgradeQueueMessage(message), "queue message");
+}
+
+// Upgrades without validating, e.g. to apply edits to a stored message
+// before it is republished (and validated) with createQueueMessage
+export function upgradeQueueMessage(message) {
+  return upgradeVersion(
+    message,
+    QUEUE_MESSAGE_VERSION,
+    upgrades,
+    "queue message"
+  );
+}
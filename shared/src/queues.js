@@ -0,0 +1,25 @@
+// Queue names, shared by the router (publisher) and delivery (consumer)
+export const QUEUES = {
+  email: "email_queue",
+  sms: "sms_queue",
+  whatsapp: "whatsapp_queue",
+  dlq: "dead_letter_queue",
+};
+
+export const CHANNELS = ["email", "sms", "whatsapp"];
+
+// Priority lanes. Every channel queue has a lane per priority; normal keeps
+// the plain queue name (email_queue) and the others get a suffix
+// (email_queue.critical, email_queue.bulk).
+export const PRIORITIES = ["critical", "normal", "bulk"];
+
+export const DEFAULT_PRIORITY = "normal";
+
+export function normalizePriority(priority) {
+  return PRIORITIES.includes(priority) ? priority : DEFAULT_PRIORITY;
+}
+
+export function laneQueue(queueName, priority) {
+  const lane = normalizePriority(priority);
+  return lane === DEFAULT_PRIORITY ? queueName : `${queueName}.${lane}`;
+}
@@ -0,0 +1,139 @@
+import {
+  ROOT_CONTEXT,
+  SpanKind,
+  SpanStatusCode,
+  context,
+  defaultTextMapSetter,
+  trace,
+} from "@opentelemetry/api";
+import { W3CTraceContextPropagator } from "@opentelemetry/core";
+import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http";
+import { resourceFromAttributes } from "@opentelemetry/resources";
+import {
+  BatchSpanProcessor,
+  NodeTracerProvider,
+} from "@opentelemetry/sdk-trace-node";
+import { createLogger } from "./logger.js";
+
+export { SpanKind };
+
+// Traces cross service boundaries as W3C traceparent/tracestate: in HTTP
+// headers, RabbitMQ and Kafka message headers and the traceContext stored
+// with a message. Services also register this propagator with their tracer
+// provider, so every producer and consumer agrees on the format.
+export const TRACE_PROPAGATOR = new W3CTraceContextPropagator();
+
+// Kafka delivers header values as Buffers
+const carrierGetter = {
+  get(carrier, key) {
+    const value = carrier[key];
+    return Buffer.isBuffer(value) ? value.toString() : value;
+  },
+  keys(carrier) {
+    return Object.keys(carrier);
+  },
+};
+
+// Returns the W3C traceparent (and tracestate) headers for a context
+export function injectContext(ctx = context.active()) {
+  const carrier = {};
+  TRACE_PROPAGATOR.inject(ctx, carrier, defaultTextMapSetter);
+  return carrier;
+}
+
+// Reads traceparent/tracestate from HTTP headers, message headers or a stored
+// carrier. Without a traceparent, spans started from it begin a new trace.
+export function extractContext(carrier) {
+  return TRACE_PROPAGATOR.extract(ROOT_CONTEXT, carrier || {}, carrierGetter);
+}
+
+export function failSpan(span, error) {
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+export function currentTraceId() {
+  return trace.getActiveSpan()?.spanContext().traceId;
+}
+
+export function currentSpanId() {
+  return trace.getActiveSpan()?.spanContext().spanId;
+}
+
+// Tracing for one service: its tracer, the tracer provider and the span
+// helpers built on that tracer. Each service creates it once in tracing.js.
+export function createTracing(serviceName) {
+  const tracer = trace.getTracer(serviceName);
+  const logger = createLogger(serviceName);
+  let provider;
+
+  // Registers the tracer provider with TRACE_PROPAGATOR. Spans are exported
+  // over OTLP/HTTP to OTEL_EXPORTER_OTLP_ENDPOINT (default
+  // http://localhost:4318) unless OTEL_TRACES_EXPORTER is "none"; trace and
+  // span IDs are generated either way.
+  function initTracing() {
+    const exporter = process.env.OTEL_TRACES_EXPORTER || "otlp";
+
+    provider = new NodeTracerProvider({
+      resource: resourceFromAttributes({
+        "service.name": process.env.SERVICE_NAME || serviceName,
+      }),
+      spanProcessors:
+        exporter === "none"
+          ? []
+          : [new BatchSpanProcessor(new OTLPTraceExporter())],
+    });
+    provider.register({ propagator: TRACE_PROPAGATOR });
+
+    logger.info("Tracing initialized", { exporter });
+  }
+
+  // Flushes spans that are still buffered
+  async function shutdownTracing() {
+    if (provider) await provider.shutdown();
+  }
+
+  // Runs fn in a new active span, recording a thrown error on it
+  function withSpan(name, options, fn, parent = context.active()) {
+    return tracer.startActiveSpan(name, options, parent, async (span) => {
+      try {
+        return await fn(span);
+      } catch (error) {
+        failSpan(span, error);
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  // Express middleware that runs each request in a server span continuing
+  // the caller's traceparent header
+  function traceRequests(req, res, next) {
+    const span = tracer.startSpan(
+      req.method,
+      {
+        kind: SpanKind.SERVER,
+        attributes: {
+          "http.request.method": req.method,
+          "url.path": req.path,
+        },
+      },
+      extractContext(req.headers)
+    );
+
+    res.on("finish", () => {
+      if (req.route)
+        span.updateName(`${req.method} ${req.baseUrl}${req.route.path}`);
+      span.setAttribute("http.response.status_code", res.statusCode);
+      if (res.statusCode >= 500) {
+        span.setStatus({ code: SpanStatusCode.ERROR });
+      }
+      span.end();
+    });
+
+    context.with(trace.setSpan(ROOT_CONTEXT, span), next);
+  }
+
+  return { tracer, initTracing, shutdownTracing, withSpan, traceRequests };
+}
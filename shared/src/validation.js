@@ -0,0 +1,61 @@
+import { createRequire } from "module";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+const require = createRequire(import.meta.url);
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+
+// Loads a schema from schemas/, e.g. loadSchema("queue-message.v1")
+export function loadSchema(name) {
+  return require(`../schemas/${name}.json`);
+}
+
+export function compileSchema(name) {
+  return ajv.compile(loadSchema(name));
+}
+
+// Returns data if it matches the compiled schema. Otherwise throws an error
+// that is not worth retrying: the same payload fails again.
+export function assertValid(validate, data, label) {
+  if (validate(data)) return data;
+
+  const error = new Error(
+    `Invalid ${label}: ${ajv.errorsText(validate.errors, { dataVar: label })}`
+  );
+  error.errorCode = "SCHEMA_VALIDATION_FAILED";
+  error.retryable = false;
+  throw error;
+}
+
+// Brings a payload of any known version up to currentVersion, one upgrade
+// step at a time. Payloads without a schemaVersion are version 0, the format
+// used before the schemas existed. Newer versions than this build knows are
+// refused rather than guessed at.
+export function upgradeVersion(data, currentVersion, upgrades, label) {
+  const version = data?.schemaVersion ?? 0;
+
+  if (!Number.isInteger(version) || version > currentVersion || version < 0) {
+    const error = new Error(
+      `Unsupported ${label} schemaVersion ${version} (supported: up to ${currentVersion})`
+    );
+    error.errorCode = "UNSUPPORTED_SCHEMA_VERSION";
+    error.retryable = false;
+    throw error;
+  }
+
+  let upgraded = data;
+  for (let from = version; from < currentVersion; from++) {
+    upgraded = upgrades[from](upgraded);
+  }
+  return upgraded;
+}
+
+// Drops null and undefined fields. JSON drops undefined already, but GraphQL
+// inputs and stored documents may carry explicit nulls for absent values.
+export function compact(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value != null)
+  );
+}
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  createApiKeyResolver,
+  extractApiKey,
+  hashApiKey,
+} from "../src/index.js";
+
+// Stand-in for the ApiKey model that counts lookups
+function fakeModel(keys) {
+  const model = {
+    lookups: 0,
+    async findOne({ keyHash }) {
+      model.lookups++;
+      const apiKey = keys.find((key) => hashApiKey(key) === keyHash);
+      return apiKey
+        ? { keyId: `key_${apiKey}`, tenantId: "tenant_a", scopes: ["send"] }
+        : null;
+    },
+  };
+  return model;
+}
+
+test("known keys are resolved once and then served from the cache", async () => {
+  const model = fakeModel(["cak_one"]);
+  const apiKeys = createApiKeyResolver(model);
+
+  const auth = await apiKeys.resolve("cak_one");
+  await apiKeys.resolve("cak_one");
+
+  assert.deepEqual(auth, {
+    keyId: "key_cak_one",
+    tenantId: "tenant_a",
+    scopes: ["send"],
+  });
+  assert.equal(model.lookups, 1);
+});
+
+test("unknown keys are not cached", async () => {
+  const model = fakeModel([]);
+  const apiKeys = createApiKeyResolver(model, { maxEntries: 2 });
+
+  for (let i = 0; i < 100; i++) {
+    assert.equal(await apiKeys.resolve(`cak_random_${i}`), null);
+  }
+  assert.equal(await apiKeys.resolve("cak_random_0"), null);
+
+  assert.equal(model.lookups, 101);
+});
+
+test("the cache keeps the most recently used keys", async () => {
+  const model = fakeModel(["cak_a", "cak_b", "cak_c"]);
+  const apiKeys = createApiKeyResolver(model, { maxEntries: 2 });
+
+  await apiKeys.resolve("cak_a");
+  await apiKeys.resolve("cak_b");
+  await apiKeys.resolve("cak_a");
+  await apiKeys.resolve("cak_c"); // evicts cak_b
+  assert.equal(model.lookups, 3);
+
+  await apiKeys.resolve("cak_a");
+  assert.equal(model.lookups, 3);
+  await apiKeys.resolve("cak_b");
+  assert.equal(model.lookups, 4);
+});
+
+test("expired and forgotten keys are looked up again", async () => {
+  const model = fakeModel(["cak_a"]);
+  const apiKeys = createApiKeyResolver(model, { ttlMs: 0 });
+
+  await apiKeys.resolve("cak_a");
+  await apiKeys.resolve("cak_a");
+  assert.equal(model.lookups, 2);
+
+  const cached = createApiKeyResolver(model);
+  await cached.resolve("cak_a");
+  cached.forget(hashApiKey("cak_a"));
+  await cached.resolve("cak_a");
+  assert.equal(model.lookups, 4);
+});
+
+test("a key revoked by another service is refused once its entry expires", async () => {
+  const keys = ["cak_a"];
+  const apiKeys = createApiKeyResolver(fakeModel(keys), { ttlMs: 20 });
+  await apiKeys.resolve("cak_a");
+
+  keys.pop();
+  assert.ok(await apiKeys.resolve("cak_a"));
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(await apiKeys.resolve("cak_a"), null);
+});
+
+test("keys are read from a bearer token or x-api-key", () => {
+  assert.equal(extractApiKey({ authorization: "Bearer cak_a" }), "cak_a");
+  assert.equal(extractApiKey({ "x-api-key": "cak_b" }), "cak_b");
+  assert.equal(extractApiKey({}), undefined);
+});
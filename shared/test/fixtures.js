@@ -0,0 +1,8 @@
+import { readFileSync } from "fs";
+
+// Reads a payload from test/fixtures/, e.g. fixture("queue-message.v1")
+export function fixture(name) {
+  return JSON.parse(
+    readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), "utf8")
+  );
+}
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { failLiveness, registerHealthRoutes } from "../src/index.js";
+
+// Collects the handlers registerHealthRoutes adds, keyed by path
+function fakeApp() {
+  const routes = {};
+  return { routes, get: (path, handler) => (routes[path] = handler) };
+}
+
+async function call(handler) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    },
+  };
+  await handler({}, res);
+  return res;
+}
+
+test("readiness reports each probe", async () => {
+  const app = fakeApp();
+  registerHealthRoutes(app, "test-service", {
+    up: async () => {},
+    down: async () => {
+      throw new Error("Connection closed");
+    },
+  });
+
+  const res = await call(app.routes["/health/ready"]);
+
+  assert.equal(res.statusCode, 503);
+  assert.deepEqual(res.body.checks, {
+    up: { status: "up" },
+    down: { status: "down", error: "Connection closed" },
+  });
+});
+
+test("liveness fails for good once a fatal fault is reported", async () => {
+  const app = fakeApp();
+  registerHealthRoutes(app, "test-service", {});
+
+  assert.equal((await call(app.routes["/health/live"])).statusCode, 200);
+
+  failLiveness("RabbitMQ connection lost");
+  failLiveness("Something else");
+
+  const res = await call(app.routes["/health/live"]);
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.status, "failed");
+  assert.equal(res.body.error, "RabbitMQ connection lost");
+});
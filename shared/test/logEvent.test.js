@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  LOG_EVENT_VERSION,
+  LOG_TOPIC,
+  createLogEvent,
+  loadSchema,
+  publishLogEvents,
+  readLogEvent,
+} from "../src/index.js";
+import { fixture } from "./fixtures.js";
+
+test("the current schema matches the version producers stamp", () => {
+  const schema = loadSchema(`log-event.v${LOG_EVENT_VERSION}`);
+  assert.equal(schema.properties.schemaVersion.const, LOG_EVENT_VERSION);
+});
+
+test("reads a current event unchanged", () => {
+  const event = fixture("log-event.v1");
+  assert.deepEqual(readLogEvent(event), event);
+});
+
+test("upgrades an unversioned event, keeping extra context fields", () => {
+  const event = readLogEvent(fixture("log-event.v0"));
+
+  assert.equal(event.schemaVersion, LOG_EVENT_VERSION);
+  assert.equal(event.providerMessageId, "sim_12345");
+});
+
+test("fills in the timestamp of an unversioned event", () => {
+  const { timestamp, ...legacy } = fixture("log-event.v0");
+  assert.ok(Date.parse(readLogEvent(legacy).timestamp));
+});
+
+test("refuses a version newer than this build knows", () => {
+  const event = {
+    ...fixture("log-event.v1"),
+    schemaVersion: LOG_EVENT_VERSION + 1,
+  };
+
+  assert.throws(() => readLogEvent(event), {
+    errorCode: "UNSUPPORTED_SCHEMA_VERSION",
+  });
+});
+
+test("refuses mistyped fields", () => {
+  const event = { ...fixture("log-event.v1"), retryCount: "2" };
+
+  assert.throws(() => createLogEvent(event), {
+    errorCode: "SCHEMA_VALIDATION_FAILED",
+  });
+});
+
+test("refuses an unknown level", () => {
+  const event = { ...fixture("log-event.v1"), level: "verbose" };
+
+  assert.throws(() => createLogEvent(event), {
+    errorCode: "SCHEMA_VALIDATION_FAILED",
+  });
+});
+
+test("publishLogEvents sends versioned events keyed by trace", async () => {
+  const sent = [];
+  const producer = { send: async (batch) => sent.push(batch) };
+  const { schemaVersion, ...entry } = fixture("log-event.v1");
+
+  await publishLogEvents(producer, [entry], { traceparent: "00-abc" });
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].topic, LOG_TOPIC);
+  const [message] = sent[0].messages;
+  assert.equal(message.key, entry.traceId);
+  assert.deepEqual(message.headers, { traceparent: "00-abc" });
+  assert.equal(JSON.parse(message.value).schemaVersion, LOG_EVENT_VERSION);
+});
+
+test("publishLogEvents sends nothing if an entry is invalid", async () => {
+  const sent = [];
+  const producer = { send: async (batch) => sent.push(batch) };
+
+  await assert.rejects(
+    publishLogEvents(producer, [fixture("log-event.v1"), { level: "info" }]),
+    { errorCode: "SCHEMA_VALIDATION_FAILED" }
+  );
+  assert.equal(sent.length, 0);
+});
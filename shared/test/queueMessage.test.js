@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  CHANNELS,
+  PRIORITIES,
+  QUEUE_MESSAGE_VERSION,
+  createQueueMessage,
+  loadSchema,
+  readQueueMessage,
+  upgradeQueueMessage,
+} from "../src/index.js";
+import { fixture } from "./fixtures.js";
+
+const schema = loadSchema(`queue-message.v${QUEUE_MESSAGE_VERSION}`);
+
+test("the current schema matches the version producers stamp", () => {
+  assert.equal(schema.properties.schemaVersion.const, QUEUE_MESSAGE_VERSION);
+});
+
+test("channels and priorities in the schema match the queues", () => {
+  assert.deepEqual(schema.definitions.channel.enum, CHANNELS);
+  assert.deepEqual(schema.properties.priority.enum, PRIORITIES);
+});
+
+test("reads a current message unchanged", () => {
+  const message = fixture("queue-message.v1");
+  assert.deepEqual(readQueueMessage(message), message);
+});
+
+test("upgrades an unversioned message", () => {
+  const message = readQueueMessage(fixture("queue-message.v0"));
+
+  assert.equal(message.schemaVersion, QUEUE_MESSAGE_VERSION);
+  assert.equal(message.messageId, "msg_7f9c2b1e-4d3a-4c8e-9b2f-1a6d5e8c3f70");
+  assert.equal("templateId" in message, false);
+});
+
+test("refuses a version newer than this build knows", () => {
+  const message = {
+    ...fixture("queue-message.v1"),
+    schemaVersion: QUEUE_MESSAGE_VERSION + 1,
+  };
+
+  assert.throws(() => readQueueMessage(message), {
+    errorCode: "UNSUPPORTED_SCHEMA_VERSION",
+  });
+});
+
+test("refuses fields the schema does not declare", () => {
+  const message = { ...fixture("queue-message.v1"), unexpected: true };
+
+  assert.throws(() => readQueueMessage(message), {
+    errorCode: "SCHEMA_VALIDATION_FAILED",
+  });
+});
+
+test("refuses a message without a required field", () => {
+  const { body, ...message } = fixture("queue-message.v1");
+
+  assert.throws(
+    () => readQueueMessage(message),
+    (error) => {
+      assert.equal(error.retryable, false);
+      assert.match(error.message, /body/);
+      return true;
+    }
+  );
+});
+
+test("createQueueMessage stamps the version and drops nulls", () => {
+  const { schemaVersion, ...message } = fixture("queue-message.v1");
+  const created = createQueueMessage({ ...message, subject: null });
+
+  assert.equal(created.schemaVersion, QUEUE_MESSAGE_VERSION);
+  assert.equal("subject" in created, false);
+});
+
+test("createQueueMessage refuses an unknown channel", () => {
+  const message = { ...fixture("queue-message.v1"), channel: "pigeon" };
+
+  assert.throws(() => createQueueMessage(message), {
+    errorCode: "SCHEMA_VALIDATION_FAILED",
+  });
+});
+
+test("upgradeQueueMessage upgrades without validating", () => {
+  const { body, ...legacy } = fixture("queue-message.v0");
+  const message = upgradeQueueMessage(legacy);
+
+  assert.equal(message.schemaVersion, QUEUE_MESSAGE_VERSION);
+  assert.throws(() => createQueueMessage(message), /body/);
+  assert.equal(createQueueMessage({ ...message, body }).body, body);
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ROOT_CONTEXT, trace } from "@opentelemetry/api";
+import {
+  createTracing,
+  currentTraceId,
+  extractContext,
+  injectContext,
+} from "../src/index.js";
+
+const traceparent = "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01";
+
+test("a context round-trips through W3C headers", () => {
+  const headers = injectContext(extractContext({ traceparent }));
+
+  assert.deepEqual(headers, { traceparent });
+});
+
+test("tracestate is carried along", () => {
+  const headers = injectContext(
+    extractContext({ traceparent, tracestate: "vendor=value" })
+  );
+
+  assert.equal(headers.tracestate, "vendor=value");
+});
+
+test("Kafka headers are read from buffers", () => {
+  const ctx = extractContext({ traceparent: Buffer.from(traceparent) });
+
+  assert.equal(
+    trace.getSpanContext(ctx).traceId,
+    "4bf92f3577b34da6a3ce929d0e0e4736"
+  );
+});
+
+test("a missing or malformed traceparent starts a new trace", () => {
+  assert.equal(trace.getSpanContext(extractContext(undefined)), undefined);
+  assert.equal(
+    trace.getSpanContext(extractContext({ traceparent: "garbage" })),
+    undefined
+  );
+  assert.deepEqual(injectContext(ROOT_CONTEXT), {});
+});
+
+test("a service's spans carry on the trace they are started in", async () => {
+  process.env.OTEL_TRACES_EXPORTER = "none";
+  const { initTracing, shutdownTracing, withSpan } =
+    createTracing("test-service");
+  initTracing();
+
+  const traceId = await withSpan(
+    "child",
+    {},
+    async () => {
+      assert.match(injectContext().traceparent, /^00-4bf92f3577b34da6/);
+      return currentTraceId();
+    },
+    extractContext({ traceparent })
+  );
+
+  assert.equal(traceId, "4bf92f3577b34da6a3ce929d0e0e4736");
+  await shutdownTracing();
+});
+
+test("withSpan rethrows errors", async () => {
+  const { withSpan } = createTracing("test-service");
+
+  await assert.rejects(
+    withSpan("failing", {}, async () => {
+      throw new Error("Provider timed out");
+    }),
+    /Provider timed out/
+  );
+});
@@ -0,0 +1,37 @@
+import { SCOPES } from "@communication-aggregator/shared";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { createApiKey } from "../src/auth.js";
+
+dotenv.config();
+
+// Bootstraps an API key, e.g. the first admin key of a tenant:
+//   npm run create-api-key -- <tenantId> <name> [scopes, comma separated]
+const MONGODB_URL =
+  process.env.MONGODB_URL || "mongodb://localhost:27017/communication";
+
+const [tenantId, name, scopes = "admin"] = process.argv.slice(2);
+
+if (!tenantId || !name) {
+  console.error(
+    `Usage: npm run create-api-key -- <tenantId> <name> [${SCOPES.join(",")}]`
+  );
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(MONGODB_URL);
+  const key = await createApiKey({
+    tenantId,
+    name,
+    scopes: scopes.split(",").map((scope) => scope.trim()),
+  });
+
+  console.log(`Created ${key.keyId} for tenant ${tenantId} (${key.scopes})`);
+  console.log(`API key (shown once): ${key.apiKey}`);
+} catch (error) {
+  console.error(`Failed to create API key: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,109 @@
+import {
+  SCOPES,
+  apiKeyModel,
+  createApiKeyResolver,
+  hasScope,
+  hashApiKey,
+} from "@communication-aggregator/shared";
+import { randomBytes } from "crypto";
+import { GraphQLError } from "graphql";
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import { logger } from "./logger.js";
+
+const CACHE_TTL_MS = parseInt(process.env.API_KEY_CACHE_TTL_MS) || 10000;
+const CACHE_MAX_ENTRIES =
+  parseInt(process.env.API_KEY_CACHE_MAX_ENTRIES) || 10000;
+
+// Keys are issued here; delivery-service and logging-service only resolve
+// them (see the shared apiKeys module)
+const ApiKey = apiKeyModel(mongoose);
+const apiKeys = createApiKeyResolver(ApiKey, {
+  ttlMs: CACHE_TTL_MS,
+  maxEntries: CACHE_MAX_ENTRIES,
+});
+
+// Creates a key and returns its plaintext once; it cannot be recovered later
+export async function createApiKey({ tenantId, name, scopes }) {
+  const invalid = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (scopes.length === 0 || invalid.length > 0) {
+    throw new Error(`Invalid scopes: ${invalid.join(", ") || "none given"}`);
+  }
+
+  const apiKey = `cak_${randomBytes(32).toString("base64url")}`;
+  const record = await ApiKey.create({
+    keyId: `key_${uuidv4()}`,
+    tenantId,
+    name,
+    keyHash: hashApiKey(apiKey),
+    keyPrefix: apiKey.slice(0, 12),
+    scopes,
+  });
+
+  logger.info("API key created", {
+    keyId: record.keyId,
+    tenantId,
+    scopes,
+  });
+
+  return { ...toApiKey(record), apiKey };
+}
+
+export async function revokeApiKey(tenantId, keyId) {
+  const record = await ApiKey.findOneAndUpdate(
+    { tenantId, keyId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!record) {
+    throw new Error(`Active API key not found: ${keyId}`);
+  }
+
+  apiKeys.forget(record.keyHash);
+  logger.info("API key revoked", { keyId, tenantId });
+
+  return toApiKey(record);
+}
+
+export async function listApiKeys(tenantId) {
+  const records = await ApiKey.find({ tenantId }).sort({ createdAt: -1 });
+  return records.map(toApiKey);
+}
+
+// Resolves an API key to { keyId, tenantId, scopes }, or null when the key is
+// unknown or revoked. Known keys are cached briefly to keep them off the hot
+// path.
+export function resolveApiKey(apiKey) {
+  return apiKeys.resolve(apiKey);
+}
+
+// Throws the matching GraphQL error unless the context carries the scope.
+// Returns the caller's auth for convenience.
+export function requireScope(context, scope) {
+  if (!context.auth) {
+    throw new GraphQLError("A valid API key is required", {
+      extensions: { code: "UNAUTHENTICATED" },
+    });
+  }
+
+  if (!hasScope(context.auth, scope)) {
+    throw new GraphQLError(`API key lacks the "${scope}" scope`, {
+      extensions: { code: "FORBIDDEN" },
+    });
+  }
+
+  return context.auth;
+}
+
+function toApiKey(record) {
+  return {
+    keyId: record.keyId,
+    tenantId: record.tenantId,
+    name: record.name,
+    keyPrefix: record.keyPrefix,
+    scopes: record.scopes,
+    revokedAt: record.revokedAt?.toISOString(),
+    createdAt: record.createdAt.toISOString(),
+  };
+}
@@ -0,0 +1,69 @@
+import { countMessagesByStatus } from "./messageStore.js";
+import { getRedisClient } from "./router.js";
+
+const BATCH_KEY_PREFIX = "batch:";
+const BATCH_TTL_SECONDS = 7 * 86400;
+
+// Every status but queued, which is derived from the accepted count
+const STORED_STATUSES = [
+  "scheduled",
+  "processing",
+  "sent",
+  "delivered",
+  "read",
+  "failed",
+  "bounced",
+  "undeliverable",
+  "suppressed",
+];
+
+export async function recordBatch(
+  tenantId,
+  batchId,
+  { total, accepted, rejected }
+) {
+  const redisClient = getRedisClient();
+  const key = `${BATCH_KEY_PREFIX}${batchId}`;
+
+  await redisClient
+    .multi()
+    .hSet(key, {
+      tenantId,
+      total: total.toString(),
+      accepted: accepted.toString(),
+      rejected: rejected.toString(),
+      createdAt: new Date().toISOString(),
+    })
+    .expire(key, BATCH_TTL_SECONDS)
+    .exec();
+}
+
+// Accepted messages only reach MongoDB once delivery-service picks them up,
+// so anything accepted but not yet stored is reported as queued.
+export async function getBatchStatus(tenantId, batchId) {
+  const redisClient = getRedisClient();
+  const batch = await redisClient.hGetAll(`${BATCH_KEY_PREFIX}${batchId}`);
+
+  // Batches of other tenants are reported as missing
+  if (!batch || !batch.total || batch.tenantId !== tenantId) {
+    return null;
+  }
+
+  const counts = await countMessagesByStatus(tenantId, batchId);
+  const accepted = parseInt(batch.accepted);
+
+  const byStatus = Object.fromEntries(
+    STORED_STATUSES.map((status) => [status, counts[status] || 0])
+  );
+  const stored = Object.values(byStatus).reduce((sum, n) => sum + n, 0);
+
+  return {
+    batchId,
+    total: parseInt(batch.total),
+    accepted,
+    rejected: parseInt(batch.rejected),
+    ...byStatus,
+    queued: Math.max(accepted - stored, 0),
+    createdAt: batch.createdAt,
+  };
+}
@@ -0,0 +1,31 @@
+import { extractApiKey, hasScope } from "@communication-aggregator/shared";
+import express from "express";
+import { resolveApiKey } from "./auth.js";
+import { MAX_BULK_SIZE } from "./resolvers.js";
+
+// Average size budgeted per sendBulkMessages item (JSON, including variables
+// or a rendered body)
+const BULK_ITEM_BYTES = parseInt(process.env.BULK_ITEM_BYTES) || 4096;
+
+const bulkJson = express.json({ limit: MAX_BULK_SIZE * BULK_ITEM_BYTES });
+const defaultJson = express.json();
+
+// JSON and form parsers. GraphQL bodies from a key with the "send" scope get
+// room for a sendBulkMessages call of MAX_BULK_SIZE items; the key is
+// resolved before the body is read, so callers without one cannot make the
+// service buffer bodies that large. Everything else keeps express's 100kb
+// default. The resolved key is left on req.auth for the GraphQL context.
+export function useBodyParsers(app) {
+  app.use("/graphql", async (req, res, next) => {
+    try {
+      req.auth = await resolveApiKey(extractApiKey(req.headers));
+    } catch (error) {
+      return next(error);
+    }
+
+    const parse = hasScope(req.auth, "send") ? bulkJson : defaultJson;
+    parse(req, res, next);
+  });
+  app.use(defaultJson);
+  app.use(express.urlencoded({ extended: true }));
+}
@@ -0,0 +1,234 @@
+import { createHash } from "crypto";
+import { logger } from "./logger.js";
+import { getRedisClient } from "./router.js";
+
+// Dedup settings are "<scope>/<window seconds>" per channel, e.g.
+// DEDUP_SMS=key/86400. Scopes:
+//   key     - only sends with the same idempotencyKey are duplicates
+//   content - sends without a key are also deduplicated by recipient and body
+// Idempotency keys are always honoured; the window sets how long they (and
+// content fingerprints) are remembered.
+const DEFAULT_DEDUP = {
+  email: "content/86400",
+  sms: "key/86400",
+  whatsapp: "key/86400",
+};
+
+const DEDUP_SCOPES = ["key", "content"];
+
+// A reservation that is never completed or released (e.g. the process crashed
+// mid-send) stops blocking retries after this long
+const PENDING_TTL_SECONDS =
+  parseInt(process.env.DEDUP_PENDING_TTL_SECONDS) || 60;
+
+// Reserves a dedup key unless it is already taken.
+//   KEYS: dedup key
+//   ARGV: pending entry, TTL seconds
+// Returns the existing entry, or nil when the key was reserved.
+const RESERVE_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if existing then
+  return existing
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+return nil
+`;
+
+// Deletes a dedup key only while it still holds the caller's pending entry
+//   KEYS: dedup key
+//   ARGV: reservation token
+const RELEASE_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if existing and cjson.decode(existing).token == ARGV[1] then
+  redis.call('DEL', KEYS[1])
+  return 1
+end
+return 0
+`;
+
+const dedupConfig = loadDedupConfig();
+
+// Reserves the dedup key of each input ({ input, token }) in a single
+// pipelined round trip. Returns one result per input, in order:
+//   { outcome: "reserved", reservation } - go ahead and send; the reservation
+//     is null when the input is not deduplicated
+//   { outcome: "duplicate", original: { messageId, traceId, status } }
+//   { outcome: "in_progress" } - the same request is still being processed
+//   { outcome: "key_reused" } - the idempotency key was used for a different
+//     message
+export async function reserveMessages(requests) {
+  const reservations = requests.map(({ input, token }) =>
+    buildReservation(input, token)
+  );
+
+  if (!reservations.some(Boolean)) {
+    return reservations.map(() => ({ outcome: "reserved", reservation: null }));
+  }
+
+  try {
+    const redisClient = getRedisClient();
+    const pipeline = redisClient.multi();
+
+    for (const reservation of reservations) {
+      if (!reservation) continue;
+      pipeline.eval(RESERVE_SCRIPT, {
+        keys: [reservation.key],
+        arguments: [
+          JSON.stringify({
+            state: "pending",
+            token: reservation.token,
+            fingerprint: reservation.fingerprint,
+          }),
+          Math.min(PENDING_TTL_SECONDS, reservation.windowSeconds).toString(),
+        ],
+      });
+    }
+
+    const replies = await pipeline.execAsPipeline();
+
+    let reply = 0;
+    return reservations.map((reservation) => {
+      if (!reservation) return { outcome: "reserved", reservation: null };
+
+      const existing = replies[reply++];
+      if (!existing) return { outcome: "reserved", reservation };
+
+      const entry = JSON.parse(existing);
+      if (entry.fingerprint !== reservation.fingerprint) {
+        return { outcome: "key_reused" };
+      }
+
+      if (entry.state === "pending") return { outcome: "in_progress" };
+
+      return {
+        outcome: "duplicate",
+        original: {
+          messageId: entry.messageId,
+          traceId: entry.traceId,
+          status: entry.status,
+        },
+      };
+    });
+  } catch (error) {
+    logger.error("Error reserving dedup keys", { error: error.message });
+    // On error, allow messages through (fail open)
+    return requests.map(() => ({ outcome: "reserved", reservation: null }));
+  }
+}
+
+export async function reserveMessage(input, token) {
+  const [result] = await reserveMessages([{ input, token }]);
+  return result;
+}
+
+// Marks reservations as sent ({ reservation, message }) so later duplicates
+// get the original messageId and status for the rest of the window
+export async function completeReservations(entries) {
+  const completed = entries.filter(({ reservation }) => reservation);
+  if (completed.length === 0) return;
+
+  try {
+    const pipeline = getRedisClient().multi();
+    for (const { reservation, message } of completed) {
+      pipeline.set(
+        reservation.key,
+        JSON.stringify({
+          state: "completed",
+          token: reservation.token,
+          fingerprint: reservation.fingerprint,
+          messageId: message.messageId,
+          traceId: message.traceId,
+          status: message.status,
+        }),
+        { EX: reservation.windowSeconds }
+      );
+    }
+    await pipeline.execAsPipeline();
+  } catch (error) {
+    // The pending entries expire on their own, after which a retry is
+    // accepted again
+    logger.error("Error completing dedup reservations", {
+      error: error.message,
+    });
+  }
+}
+
+export async function completeReservation(reservation, message) {
+  await completeReservations([{ reservation, message }]);
+}
+
+// Frees reservations whose send failed so the client can retry right away
+export async function releaseReservations(reservations) {
+  const held = reservations.filter(Boolean);
+  if (held.length === 0) return;
+
+  try {
+    const pipeline = getRedisClient().multi();
+    for (const reservation of held) {
+      pipeline.eval(RELEASE_SCRIPT, {
+        keys: [reservation.key],
+        arguments: [reservation.token],
+      });
+    }
+    await pipeline.execAsPipeline();
+  } catch (error) {
+    logger.error("Error releasing dedup reservations", {
+      error: error.message,
+    });
+  }
+}
+
+export async function releaseReservation(reservation) {
+  await releaseReservations([reservation]);
+}
+
+function buildReservation(input, token) {
+  const config = dedupConfig[input.channel];
+  const fingerprint = hash(
+    `${input.channel}:${input.recipient}:${input.subject || ""}:${input.body}`
+  );
+
+  if (input.idempotencyKey) {
+    return {
+      key: `idem:${input.tenantId}:${hash(input.idempotencyKey)}`,
+      token,
+      fingerprint,
+      windowSeconds: config.windowSeconds,
+    };
+  }
+
+  if (config.scope !== "content") return null;
+
+  return {
+    key: `dedup:${hash(`${input.tenantId}:${fingerprint}`)}`,
+    token,
+    fingerprint,
+    windowSeconds: config.windowSeconds,
+  };
+}
+
+function hash(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+function loadDedupConfig() {
+  const result = {};
+
+  for (const [channel, defaults] of Object.entries(DEFAULT_DEDUP)) {
+    const env = `DEDUP_${channel.toUpperCase()}`;
+    result[channel] = parseDedup(process.env[env] || defaults, env);
+  }
+
+  return result;
+}
+
+function parseDedup(value, name) {
+  const [scope, windowSeconds] = value.split("/");
+  if (!DEDUP_SCOPES.includes(scope) || !(Number(windowSeconds) > 0)) {
+    throw new Error(
+      `Invalid dedup setting ${name}=${value}, expected key|content/seconds`
+    );
+  }
+
+  return { scope, windowSeconds: Number(windowSeconds) };
+}
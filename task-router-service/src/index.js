@@ -1,36 +1,117 @@
 import { ApolloServer } from "@apollo/server";
+import { ApolloServerPluginDrainHttpServer } from "@apollo/server/plugin/drainHttpServer";
 import { expressMiddleware } from "@as-integrations/express4";
+import {
+  extractApiKey,
+  extractContext,
+  registerHealthRoutes,
+  startDraining,
+} from "@communication-aggregator/shared";
+import { makeExecutableSchema } from "@graphql-tools/schema";
 import cors from "cors";
 import dotenv from "dotenv";
 import express from "express";
+import { useServer } from "graphql-ws/use/ws";
+import { createServer } from "http";
+import { WebSocketServer } from "ws";
+import { resolveApiKey } from "./auth.js";
+import { useBodyParsers } from "./bodyParsers.js";
 import { resolvers } from "./resolvers.js";
 import { typeDefs } from "./schema.js";
 
 import { logger } from "./logger.js";
-import { initializeConnections } from "./router.js";
+import { register } from "./metrics.js";
+import { startOutboxRelay, stopOutboxRelay } from "./outbox.js";
+import { assertUnsubscribeSecret } from "./preferences.js";
+import {
+  closeConnections,
+  connectionProbes,
+  initializeConnections,
+} from "./router.js";
+import { startScheduler, stopScheduler } from "./scheduler.js";
+import {
+  closeEventConsumer,
+  initializeEventConsumer,
+} from "./subscriptions.js";
+import { initTracing, shutdownTracing } from "./tracing.js";
+import { registerUnsubscribeRoutes } from "./unsubscribe.js";
 
 dotenv.config();
 
 const PORT = process.env.PORT || 4000;
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000;
+
+let server;
+let shuttingDown = false;
 
 async function startServer() {
   try {
+    // Unsubscribe links are signed with this secret, so a weak one is fatal
+    assertUnsubscribeSecret();
+
     // Initialize Express app
     const app = express();
 
     // Middleware
     app.use(cors());
-    app.use(express.json());
-    app.use(express.urlencoded({ extended: true }));
+    useBodyParsers(app);
 
-    // Initialize all connections (RabbitMQ, Redis, Kafka)
+    // Trace context propagation and OTLP span export
+    initTracing();
+
+    // Initialize all connections (RabbitMQ, Redis, Kafka, MongoDB)
     await initializeConnections();
     logger.info("All connections initialized");
 
+    // Republish messages left unconfirmed by a previous run
+    startOutboxRelay();
+
+    // Release scheduled messages as they fall due
+    startScheduler();
+
+    // Feed GraphQL subscriptions from the Kafka log stream
+    await initializeEventConsumer();
+
+    const schema = makeExecutableSchema({ typeDefs, resolvers });
+    const httpServer = createServer(app);
+
+    // WebSocket server for GraphQL subscriptions
+    const wsServer = new WebSocketServer({
+      server: httpServer,
+      path: "/graphql",
+    });
+    const wsServerCleanup = useServer(
+      {
+        schema,
+        // Browsers cannot set headers on WebSocket upgrades, so the key is
+        // passed in the connection params instead
+        context: async (ctx) => ({
+          auth: await resolveApiKey(
+            ctx.connectionParams?.apiKey ||
+              extractApiKey(ctx.connectionParams || {})
+          ),
+          traceContext: extractContext(ctx.connectionParams),
+          timestamp: new Date().toISOString(),
+        }),
+      },
+      wsServer
+    );
+
     // Create Apollo Server
-    const server = new ApolloServer({
-      typeDefs,
-      resolvers,
+    server = new ApolloServer({
+      schema,
+      plugins: [
+        ApolloServerPluginDrainHttpServer({ httpServer }),
+        {
+          async serverWillStart() {
+            return {
+              async drainServer() {
+                await wsServerCleanup.dispose();
+              },
+            };
+          },
+        },
+      ],
       formatError: (error) => {
         logger.error("GraphQL Error", {
           message: error.message,
@@ -44,34 +125,44 @@ async function startServer() {
     await server.start();
     logger.info("Apollo Server started");
 
-    // Health check endpoint
-    app.get("/health", (req, res) => {
-      res.json({
-        status: "healthy",
-        service: "task-router-service",
-        timestamp: new Date().toISOString(),
-      });
+    // Liveness and readiness probes
+    registerHealthRoutes(app, "task-router-service", connectionProbes);
+
+    // Prometheus scrape endpoint
+    app.get("/metrics", async (req, res) => {
+      res.set("Content-Type", register.contentType);
+      res.send(await register.metrics());
     });
 
+    // Unsubscribe links from messages (no API key; the link is signed)
+    registerUnsubscribeRoutes(app);
+
     // GraphQL endpoint
     app.use(
       "/graphql",
       expressMiddleware(server, {
+        // Resolvers enforce scopes; a missing or unknown key leaves auth null.
+        // The key was resolved before the body was parsed (see bodyParsers).
         context: async ({ req }) => ({
           req,
-          traceId: req.headers["x-trace-id"],
+          auth: req.auth,
+          // W3C traceparent/tracestate headers of the caller, if any
+          traceContext: extractContext(req.headers),
           timestamp: new Date().toISOString(),
         }),
       })
     );
 
     // Start Express server
-    app.listen(PORT, () => {
+    httpServer.listen(PORT, () => {
       logger.info(
         `🚀 Task Router Service ready at http://localhost:${PORT}/graphql`
       );
       logger.info(
-        `📊 Health check available at http://localhost:${PORT}/health`
+        `🔔 Subscriptions available at ws://localhost:${PORT}/graphql`
+      );
+      logger.info(
+        `📊 Health check available at http://localhost:${PORT}/health/ready`
       );
     });
   } catch (error) {
@@ -80,15 +171,42 @@ async function startServer() {
   }
 }
 
-// Graceful shutdown
-process.on("SIGINT", async () => {
-  logger.info("Shutting down gracefully...");
-  process.exit(0);
-});
+// Graceful shutdown: fail readiness, stop taking requests and let in-flight
+// ones finish, stop the background loops, then close connections. Exits
+// with an error if draining takes longer than SHUTDOWN_TIMEOUT_MS.
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  logger.info("Shutting down gracefully...", { signal });
+  startDraining();
+
+  setTimeout(() => {
+    logger.error("Shutdown timed out, exiting", {
+      timeout: `${SHUTDOWN_TIMEOUT_MS}ms`,
+    });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  try {
+    // Closes the HTTP and WebSocket servers once in-flight requests finish
+    if (server) await server.stop();
+
+    await stopScheduler();
+    await stopOutboxRelay();
+    await closeEventConsumer();
+    await closeConnections();
+    await shutdownTracing();
+
+    logger.info("Shutdown complete");
+    process.exit(0);
+  } catch (error) {
+    logger.error("Error during shutdown", { error: error.message });
+    process.exit(1);
+  }
+}
 
-process.on("SIGTERM", async () => {
-  logger.info("Shutting down gracefully...");
-  process.exit(0);
-});
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
 
 startServer();
@@ -0,0 +1,333 @@
+import mongoose from "mongoose";
+
+// Message Schema (shared "messages" collection written by delivery-service)
+const messageSchema = new mongoose.Schema({
+  messageId: { type: String, required: true, unique: true },
+  tenantId: { type: String, index: true },
+  traceId: { type: String, required: true, index: true },
+  channel: { type: String, required: true, enum: ["email", "sms", "whatsapp"] },
+  recipient: { type: String, required: true },
+  subject: String,
+  body: { type: String, required: true },
+  metadata: mongoose.Schema.Types.Mixed,
+  category: String,
+  templateId: { type: String, index: true },
+  templateVersion: Number,
+  batchId: { type: String, index: true },
+  priority: {
+    type: String,
+    enum: ["critical", "normal", "bulk"],
+    default: "normal",
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: [
+      "scheduled",
+      "queued",
+      "processing",
+      "sent",
+      "delivered",
+      "read",
+      "failed",
+      "bounced",
+      "undeliverable",
+      "suppressed",
+    ],
+    default: "queued",
+  },
+  scheduledFor: Date,
+  provider: String,
+  sentAt: Date,
+  deliveredAt: Date,
+  readAt: Date,
+  failedAt: Date,
+  errorCode: String,
+  errorMessage: String,
+  retryCount: { type: Number, default: 0 },
+  fallback: [
+    {
+      _id: false,
+      channel: String,
+      recipient: String,
+      timeoutSeconds: Number,
+    },
+  ],
+  fallbackStep: Number,
+  channelAttempts: [
+    {
+      _id: false,
+      step: Number,
+      channel: String,
+      recipient: String,
+      status: String,
+      provider: String,
+      providerMessageId: String,
+      errorCode: String,
+      error: String,
+      reason: String,
+      startedAt: Date,
+      endedAt: Date,
+    },
+  ],
+  // Append-only status history, written by both services
+  events: [
+    {
+      _id: false,
+      type: { type: String, required: true },
+      at: { type: Date, required: true },
+      source: String,
+      subtraceId: String,
+      channel: String,
+      provider: String,
+      providerMessageId: String,
+      response: mongoose.Schema.Types.Mixed,
+      errorCode: String,
+      error: String,
+      retryCount: Number,
+      detail: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+messageSchema.index({ createdAt: -1, _id: -1 });
+messageSchema.index({ tenantId: 1, createdAt: -1, _id: -1 });
+
+const Message = mongoose.model("Message", messageSchema);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+export async function recordScheduledMessage(message) {
+  const {
+    messageId,
+    tenantId,
+    traceId,
+    channel,
+    recipient,
+    subject,
+    body,
+    metadata,
+    category,
+    templateId,
+    templateVersion,
+    batchId,
+    priority,
+    sendAt,
+  } = message;
+
+  await Message.findOneAndUpdate(
+    { messageId },
+    {
+      $set: {
+        messageId,
+        tenantId,
+        traceId,
+        channel,
+        recipient,
+        subject,
+        body,
+        metadata,
+        category,
+        templateId,
+        templateVersion,
+        batchId,
+        priority,
+        status: "scheduled",
+        scheduledFor: new Date(sendAt),
+        updatedAt: new Date(),
+      },
+      $push: {
+        events: {
+          type: "scheduled",
+          at: new Date(),
+          source: "router",
+          channel,
+          detail: { sendAt },
+        },
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// Only moves scheduled messages forward; delivery-service owns later states
+export async function markScheduledMessageQueued(messageId) {
+  await Message.updateOne(
+    { messageId, status: "scheduled" },
+    { status: "queued", updatedAt: new Date() }
+  );
+}
+
+// Recipients can opt out while a message is scheduled
+export async function markScheduledMessageSuppressed(messageId, reason) {
+  await Message.updateOne(
+    { messageId, status: "scheduled" },
+    {
+      $set: {
+        status: "suppressed",
+        errorMessage: `Suppressed: ${reason}`,
+        updatedAt: new Date(),
+      },
+      $push: {
+        events: {
+          type: "suppressed",
+          at: new Date(),
+          source: "router",
+          error: `Suppressed: ${reason}`,
+        },
+      },
+    }
+  );
+}
+
+// Returns { status: count } for the stored messages of a batch
+export async function countMessagesByStatus(tenantId, batchId) {
+  const groups = await Message.aggregate([
+    { $match: { tenantId, batchId } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  return Object.fromEntries(groups.map((group) => [group._id, group.count]));
+}
+
+export async function findMessage(tenantId, messageId) {
+  const message = await Message.findOne({ tenantId, messageId }).lean();
+  return message ? toMessage(message) : null;
+}
+
+// Returns a Map of messageId to current status for the stored messages
+export async function findMessageStatuses(tenantId, messageIds) {
+  const messages = await Message.find(
+    { tenantId, messageId: { $in: messageIds } },
+    { messageId: 1, status: 1 }
+  ).lean();
+  return new Map(
+    messages.map((message) => [message.messageId, message.status])
+  );
+}
+
+export async function findMessagesByTrace(tenantId, traceId) {
+  const messages = await Message.find({ tenantId, traceId })
+    .sort({ createdAt: 1 })
+    .lean();
+  return messages.map(toMessage);
+}
+
+// Cursor-paginated listing, newest first. The cursor encodes the createdAt
+// and _id of the last returned message so pages stay stable under inserts.
+export async function findMessages(
+  tenantId,
+  { filter = {}, first, after } = {}
+) {
+  const limit = Math.min(first || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const query = { ...buildFilter(filter), tenantId };
+  const pageQuery = { ...query };
+
+  if (after) {
+    const { createdAt, id } = decodeCursor(after);
+    pageQuery.$or = [
+      { createdAt: { $lt: createdAt } },
+      { createdAt, _id: { $lt: id } },
+    ];
+  }
+
+  const [messages, totalCount] = await Promise.all([
+    Message.find(pageQuery)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean(),
+    Message.countDocuments(query),
+  ]);
+
+  const hasNextPage = messages.length > limit;
+  const edges = messages.slice(0, limit).map((message) => ({
+    cursor: encodeCursor(message),
+    node: toMessage(message),
+  }));
+
+  return {
+    edges,
+    totalCount,
+    pageInfo: {
+      hasNextPage,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null,
+    },
+  };
+}
+
+function buildFilter(filter) {
+  const query = {};
+
+  for (const field of [
+    "channel",
+    "status",
+    "priority",
+    "recipient",
+    "traceId",
+    "batchId",
+    "templateId",
+  ]) {
+    if (filter[field]) query[field] = filter[field];
+  }
+
+  if (filter.createdFrom || filter.createdTo) {
+    query.createdAt = {};
+    if (filter.createdFrom)
+      query.createdAt.$gte = parseDate(filter.createdFrom);
+    if (filter.createdTo) query.createdAt.$lte = parseDate(filter.createdTo);
+  }
+
+  return query;
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+function encodeCursor(message) {
+  return Buffer.from(
+    `${message.createdAt.getTime()}:${message._id.toString()}`
+  ).toString("base64");
+}
+
+function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(cursor, "base64").toString().split(":");
+  if (!time || !mongoose.isValidObjectId(id)) {
+    throw new Error("Invalid cursor");
+  }
+  return {
+    createdAt: new Date(parseInt(time)),
+    id: new mongoose.Types.ObjectId(id),
+  };
+}
+
+function toMessage(message) {
+  const toISO = (date) => (date ? date.toISOString() : null);
+
+  return {
+    ...message,
+    scheduledFor: toISO(message.scheduledFor),
+    sentAt: toISO(message.sentAt),
+    deliveredAt: toISO(message.deliveredAt),
+    readAt: toISO(message.readAt),
+    failedAt: toISO(message.failedAt),
+    channelAttempts: message.channelAttempts?.map((attempt) => ({
+      ...attempt,
+      startedAt: toISO(attempt.startedAt),
+      endedAt: toISO(attempt.endedAt),
+    })),
+    events: message.events
+      ?.slice()
+      .sort((a, b) => a.at - b.at)
+      .map((event) => ({ ...event, at: toISO(event.at) })),
+    createdAt: toISO(message.createdAt),
+    updatedAt: toISO(message.updatedAt),
+  };
+}
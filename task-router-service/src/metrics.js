@@ -0,0 +1,64 @@
+import client from "prom-client";
+
+// Prometheus metrics served on GET /metrics, alongside the default Node.js
+// process metrics
+export const register = new client.Registry();
+register.setDefaultLabels({ service: "task-router-service" });
+client.collectDefaultMetrics({ register });
+
+export const messagesAccepted = new client.Counter({
+  name: "router_messages_accepted_total",
+  help: "Messages queued or scheduled",
+  labelNames: ["channel"],
+  registers: [register],
+});
+
+export const messagesRejected = new client.Counter({
+  name: "router_messages_rejected_total",
+  help: "Messages refused, by reason",
+  labelNames: ["channel", "reason"],
+  registers: [register],
+});
+
+export const messagesDeduplicated = new client.Counter({
+  name: "router_messages_deduplicated_total",
+  help: "Replays answered with the original message",
+  labelNames: ["channel"],
+  registers: [register],
+});
+
+export const routingDuration = new client.Histogram({
+  name: "router_routing_duration_seconds",
+  help: "Time from publishing a message until the broker confirms it",
+  labelNames: ["channel", "outcome"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register],
+});
+
+export const kafkaLogFailures = new client.Counter({
+  name: "router_kafka_log_send_failures_total",
+  help: "Log entries that could not be sent to Kafka",
+  registers: [register],
+});
+
+const REJECTION_REASONS = {
+  SUPPRESSED: "suppressed",
+  RATE_LIMITED: "rate_limited",
+  IDEMPOTENCY_KEY_REUSED: "idempotency_key_reused",
+  DUPLICATE_IN_PROGRESS: "duplicate_in_progress",
+};
+
+// Counts a MessageResponse as accepted, deduplicated or rejected. Responses
+// without an errorCode failed validation or routing.
+export function recordSendResult(channel, result) {
+  if (result.duplicate) {
+    messagesDeduplicated.inc({ channel });
+  } else if (result.success) {
+    messagesAccepted.inc({ channel });
+  } else {
+    messagesRejected.inc({
+      channel,
+      reason: REJECTION_REASONS[result.errorCode] || "error",
+    });
+  }
+}
@@ -0,0 +1,163 @@
+import { waitUntil } from "@communication-aggregator/shared";
+import mongoose from "mongoose";
+import { logger } from "./logger.js";
+import { publishToQueue, sendLogs } from "./router.js";
+
+const RELAY_INTERVAL_MS =
+  parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS) || 5000;
+const BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE) || 100;
+// How long an entry is left to its publisher (or a relay attempt) before the
+// relay treats it as unconfirmed
+const LEASE_MS = parseInt(process.env.OUTBOX_LEASE_MS) || 30000;
+
+// Outbox Schema. Accepted messages are written here before they are
+// published and removed once the broker confirms them, so a crash between
+// the two never loses a message. The content is the exact JSON published.
+const outboxSchema = new mongoose.Schema({
+  messageId: { type: String, required: true, unique: true },
+  tenantId: String,
+  traceId: String,
+  channel: String,
+  queueName: { type: String, required: true },
+  content: { type: String, required: true },
+  headers: mongoose.Schema.Types.Mixed,
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, required: true, index: true },
+  lastError: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+const OutboxEntry = mongoose.model("OutboxEntry", outboxSchema, "outbox");
+
+let relayTimer;
+let relaying = false;
+
+// Persists envelopes ({ messageId, tenantId, traceId, queueName, content,
+// headers }). Upserts, so adding a message that is already pending is a no-op.
+export async function addToOutbox(envelopes) {
+  if (envelopes.length === 0) return;
+
+  const nextAttemptAt = new Date(Date.now() + LEASE_MS);
+  await OutboxEntry.bulkWrite(
+    envelopes.map((envelope) => ({
+      updateOne: {
+        filter: { messageId: envelope.messageId },
+        update: { $setOnInsert: { ...envelope, nextAttemptAt } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+}
+
+// Removes entries that were confirmed, or rejected and reported back to the
+// caller. A failure here only means the relay publishes them again.
+export async function removeFromOutbox(messageIds) {
+  if (messageIds.length === 0) return;
+
+  try {
+    await OutboxEntry.deleteMany({ messageId: { $in: messageIds } });
+  } catch (error) {
+    logger.error("Failed to clear outbox entries", {
+      count: messageIds.length,
+      error: error.message,
+    });
+  }
+}
+
+// Republishes entries left unconfirmed, e.g. by a crash or restart. Runs once
+// right away and then every RELAY_INTERVAL_MS.
+export function startOutboxRelay() {
+  if (relayTimer) return;
+
+  const relay = () =>
+    relayPendingMessages().catch((error) => {
+      logger.error("Outbox relay failed", { error: error.message });
+    });
+
+  relay();
+  relayTimer = setInterval(relay, RELAY_INTERVAL_MS);
+
+  logger.info("Outbox relay started", {
+    interval: `${RELAY_INTERVAL_MS}ms`,
+  });
+}
+
+// Stops the relay and waits for a batch being republished to finish
+export async function stopOutboxRelay() {
+  if (relayTimer) {
+    clearInterval(relayTimer);
+    relayTimer = null;
+  }
+  await waitUntil(() => !relaying);
+}
+
+async function relayPendingMessages() {
+  // Skip the tick if the previous batch is still being published
+  if (relaying) return;
+  relaying = true;
+
+  try {
+    const logs = [];
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const entry = await claimPendingEntry();
+      if (!entry) break;
+
+      try {
+        await publishToQueue(entry.queueName, entry.content, entry.headers);
+        await removeFromOutbox([entry.messageId]);
+
+        logger.warn("Message republished from outbox", {
+          messageId: entry.messageId,
+          traceId: entry.traceId,
+          queueName: entry.queueName,
+          attempts: entry.attempts,
+        });
+        logs.push({
+          service: "router",
+          level: "warn",
+          message: "Message republished from outbox",
+          status: "queued",
+          tenantId: entry.tenantId,
+          traceId: entry.traceId,
+          messageId: entry.messageId,
+          queueName: entry.queueName,
+          attempts: entry.attempts,
+          timestamp: new Date().toISOString(),
+        });
+      } catch (error) {
+        // The lease set by the claim spaces out the next attempt
+        await OutboxEntry.updateOne(
+          { _id: entry._id },
+          { lastError: error.message }
+        );
+
+        logger.error("Failed to republish outbox message", {
+          messageId: entry.messageId,
+          traceId: entry.traceId,
+          attempts: entry.attempts,
+          error: error.message,
+        });
+      }
+    }
+
+    await sendLogs(logs);
+  } finally {
+    relaying = false;
+  }
+}
+
+// Claims one due entry by pushing its next attempt past the lease, so
+// concurrent relays never publish it twice at once
+function claimPendingEntry() {
+  const now = new Date();
+  return OutboxEntry.findOneAndUpdate(
+    { nextAttemptAt: { $lte: now } },
+    {
+      nextAttemptAt: new Date(now.getTime() + LEASE_MS),
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
@@ -0,0 +1,299 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import mongoose from "mongoose";
+import { logger } from "./logger.js";
+
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET;
+// Shortest secret accepted; tokens are HMACs that anyone knowing it can forge
+const MIN_SECRET_LENGTH = 32;
+// Placeholders from older example configs
+const PLACEHOLDER_SECRETS = ["change-me", "changeme", "secret"];
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || "http://localhost:4000";
+
+export const SUPPRESSION_REASONS = [
+  "hard_bounce",
+  "complaint",
+  "invalid_recipient",
+  "manual",
+];
+
+// Recipient Preference Schema. One document per tenant and recipient holding
+// the channels and categories the recipient opted out of, plus an optional
+// suppression that blocks every send to the recipient.
+const preferenceSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  recipient: { type: String, required: true },
+  optedOutChannels: [{ type: String, enum: ["email", "sms", "whatsapp"] }],
+  optedOutCategories: [String],
+  suppression: {
+    reason: { type: String, enum: SUPPRESSION_REASONS },
+    note: String,
+    suppressedAt: Date,
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+preferenceSchema.index({ tenantId: 1, recipient: 1 }, { unique: true });
+preferenceSchema.index({ tenantId: 1, "suppression.reason": 1 });
+
+const RecipientPreference = mongoose.model(
+  "RecipientPreference",
+  preferenceSchema
+);
+
+// Checked at startup: the service refuses to run with a missing, placeholder
+// or short secret rather than sign links anyone could forge
+export function assertUnsubscribeSecret() {
+  if (
+    !UNSUBSCRIBE_SECRET ||
+    PLACEHOLDER_SECRETS.includes(UNSUBSCRIBE_SECRET) ||
+    UNSUBSCRIBE_SECRET.length < MIN_SECRET_LENGTH
+  ) {
+    throw new Error(
+      `UNSUBSCRIBE_SECRET must be set to a random value of at least ${MIN_SECRET_LENGTH} characters`
+    );
+  }
+}
+
+// Email addresses are case-insensitive; phone numbers are kept as given
+export function normalizeRecipient(recipient) {
+  const trimmed = recipient.trim();
+  return trimmed.includes("@") ? trimmed.toLowerCase() : trimmed;
+}
+
+// Returns why a message may not be sent to its recipient, or null when it may:
+//   { reason: "suppressed", suppressionReason } for suppressed recipients
+//   { reason: "opted_out_channel" } or { reason: "opted_out_category" }
+export function evaluatePreference(preference, { channel, category }) {
+  if (!preference) return null;
+
+  if (preference.suppression?.reason) {
+    return {
+      reason: "suppressed",
+      suppressionReason: preference.suppression.reason,
+    };
+  }
+
+  if (preference.optedOutChannels?.includes(channel)) {
+    return { reason: "opted_out_channel" };
+  }
+
+  if (category && preference.optedOutCategories?.includes(category)) {
+    return { reason: "opted_out_category" };
+  }
+
+  return null;
+}
+
+// Bulk check in a single query. Returns null or a block (see
+// evaluatePreference) per input, in order.
+export async function checkSuppressions(tenantId, inputs) {
+  const recipients = [
+    ...new Set(inputs.map((input) => normalizeRecipient(input.recipient))),
+  ];
+  const preferences = await RecipientPreference.find({
+    tenantId,
+    recipient: { $in: recipients },
+  }).lean();
+
+  const byRecipient = new Map(preferences.map((p) => [p.recipient, p]));
+  return inputs.map((input) =>
+    evaluatePreference(
+      byRecipient.get(normalizeRecipient(input.recipient)),
+      input
+    )
+  );
+}
+
+export async function checkSuppression(tenantId, input) {
+  const [result] = await checkSuppressions(tenantId, [input]);
+  return result;
+}
+
+export async function getRecipientPreferences(tenantId, recipient) {
+  const preference = await RecipientPreference.findOne({
+    tenantId,
+    recipient: normalizeRecipient(recipient),
+  }).lean();
+  return preference ? toPreference(preference) : null;
+}
+
+export async function listSuppressions(tenantId, { reason, limit = 100 } = {}) {
+  const query = reason
+    ? { tenantId, "suppression.reason": reason }
+    : { tenantId, "suppression.reason": { $exists: true } };
+
+  const preferences = await RecipientPreference.find(query)
+    .sort({ "suppression.suppressedAt": -1 })
+    .limit(Math.min(limit, 1000))
+    .lean();
+  return preferences.map(toPreference);
+}
+
+// Replaces the recipient's opted-out channels and/or categories
+export async function setRecipientPreferences(
+  tenantId,
+  { recipient, optedOutChannels, optedOutCategories }
+) {
+  const update = { updatedAt: new Date() };
+  if (optedOutChannels) update.optedOutChannels = optedOutChannels;
+  if (optedOutCategories) update.optedOutCategories = optedOutCategories;
+
+  const preference = await upsertPreference(tenantId, recipient, update);
+
+  logger.info("Recipient preferences updated", {
+    tenantId,
+    recipient: preference.recipient,
+    optedOutChannels: preference.optedOutChannels,
+    optedOutCategories: preference.optedOutCategories,
+  });
+
+  return preference;
+}
+
+// Adds a single channel or category opt-out, e.g. from an unsubscribe link
+export async function optOut(tenantId, recipient, { channel, category }) {
+  const additions = {};
+  if (category) additions.optedOutCategories = category;
+  else if (channel) additions.optedOutChannels = channel;
+  else throw new Error("A channel or category is required to opt out");
+
+  const preference = await upsertPreference(tenantId, recipient, {
+    $addToSet: additions,
+    updatedAt: new Date(),
+  });
+
+  logger.info("Recipient opted out", {
+    tenantId,
+    recipient: preference.recipient,
+    channel,
+    category,
+  });
+
+  return preference;
+}
+
+export async function suppressRecipient(tenantId, recipient, reason, note) {
+  if (!SUPPRESSION_REASONS.includes(reason)) {
+    throw new Error(`Invalid suppression reason: ${reason}`);
+  }
+
+  const preference = await upsertPreference(tenantId, recipient, {
+    suppression: { reason, note, suppressedAt: new Date() },
+    updatedAt: new Date(),
+  });
+
+  logger.warn("Recipient suppressed", {
+    tenantId,
+    recipient: preference.recipient,
+    reason,
+  });
+
+  return preference;
+}
+
+export async function unsuppressRecipient(tenantId, recipient) {
+  const preference = await upsertPreference(tenantId, recipient, {
+    $unset: { suppression: 1 },
+    updatedAt: new Date(),
+  });
+
+  logger.info("Recipient unsuppressed", {
+    tenantId,
+    recipient: preference.recipient,
+  });
+
+  return preference;
+}
+
+export async function deleteRecipientPreferences(tenantId, recipient) {
+  const result = await RecipientPreference.deleteOne({
+    tenantId,
+    recipient: normalizeRecipient(recipient),
+  });
+  return result.deletedCount > 0;
+}
+
+// Unsubscribe tokens are "<payload>.<signature>", where the payload is the
+// base64url JSON of { tenantId, recipient, channel, category } and the
+// signature an HMAC-SHA256 over it. They do not expire, so links in old
+// emails keep working.
+export function createUnsubscribeToken({
+  tenantId,
+  recipient,
+  channel,
+  category,
+}) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      tenantId,
+      recipient: normalizeRecipient(recipient),
+      channel,
+      category,
+    })
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+}
+
+export function createUnsubscribeUrl(options) {
+  return `${PUBLIC_BASE_URL}/unsubscribe?token=${encodeURIComponent(
+    createUnsubscribeToken(options)
+  )}`;
+}
+
+// Returns the token's payload, or null when the token is malformed or its
+// signature does not match
+export function verifyUnsubscribeToken(token) {
+  const [payload, signature] = (token || "").split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return data.tenantId && data.recipient ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+function sign(payload) {
+  if (!UNSUBSCRIBE_SECRET) {
+    throw new Error("UNSUBSCRIBE_SECRET is not configured");
+  }
+
+  return createHmac("sha256", UNSUBSCRIBE_SECRET)
+    .update(payload)
+    .digest("base64url");
+}
+
+async function upsertPreference(tenantId, recipient, update) {
+  const preference = await RecipientPreference.findOneAndUpdate(
+    { tenantId, recipient: normalizeRecipient(recipient) },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  return toPreference(preference);
+}
+
+function toPreference(preference) {
+  return {
+    recipient: preference.recipient,
+    optedOutChannels: preference.optedOutChannels || [],
+    optedOutCategories: preference.optedOutCategories || [],
+    suppression: preference.suppression?.reason
+      ? {
+          reason: preference.suppression.reason,
+          note: preference.suppression.note,
+          suppressedAt: preference.suppression.suppressedAt?.toISOString(),
+        }
+      : null,
+    createdAt: preference.createdAt?.toISOString(),
+    updatedAt: preference.updatedAt?.toISOString(),
+  };
+}
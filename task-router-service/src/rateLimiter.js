@@ -0,0 +1,159 @@
+import { v4 as uuidv4 } from "uuid";
+import { logger } from "./logger.js";
+import { getRedisClient } from "./router.js";
+
+// Limits are "<count>/<window seconds>" per channel and scope, e.g.
+// RATE_LIMIT_SMS_RECIPIENT=5/60. "off" disables a limit. Both scopes belong to
+// one tenant; provider throughput is throttled by delivery-service instead,
+// which queues excess messages rather than rejecting them.
+const DEFAULT_LIMITS = {
+  email: { recipient: "20/3600", client: "5000/60" },
+  sms: { recipient: "5/60", client: "1000/60" },
+  whatsapp: { recipient: "5/60", client: "1000/60" },
+};
+
+const SCOPES = ["recipient", "client"];
+
+// Sliding window log over one sorted set per limit. All limits are checked
+// before any is charged, so a rejected send does not use up quota.
+//   KEYS: one sorted set per limit
+//   ARGV: now, member, then limit and window (ms) for each key
+// Returns { index of the first exceeded limit (0 if none), retry after ms }
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local blocked = 0
+local retryAfter = 0
+
+for i, key in ipairs(KEYS) do
+  local limit = tonumber(ARGV[1 + i * 2])
+  local window = tonumber(ARGV[2 + i * 2])
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+  if redis.call('ZCARD', key) >= limit then
+    local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+    local wait = tonumber(oldest[2]) + window - now
+    if blocked == 0 then blocked = i end
+    if wait > retryAfter then retryAfter = wait end
+  end
+end
+
+if blocked > 0 then
+  return { blocked, retryAfter }
+end
+
+for i, key in ipairs(KEYS) do
+  redis.call('ZADD', key, now, ARGV[2])
+  redis.call('PEXPIRE', key, tonumber(ARGV[2 + i * 2]))
+end
+
+return { 0, 0 }
+`;
+
+const limits = loadLimits();
+
+export class RateLimitError extends Error {
+  constructor(scope, retryAfterMs) {
+    super(
+      `Rate limit exceeded for ${scope}, retry after ${Math.ceil(
+        retryAfterMs / 1000
+      )}s`
+    );
+    this.name = "RateLimitError";
+    this.scope = scope;
+    this.retryAfter = Math.ceil(retryAfterMs / 1000);
+  }
+}
+
+// Checks and charges the recipient and client limits for each request
+// ({ tenantId, channel, recipient, clientId }) in a single pipelined round
+// trip. Returns null for allowed requests and a RateLimitError for rejected
+// ones.
+export async function checkRateLimits(requests) {
+  try {
+    const pipeline = getRedisClient().multi();
+    const checks = requests.map((request) => buildCheck(request));
+
+    for (const check of checks) {
+      if (check.keys.length === 0) continue;
+      pipeline.eval(SLIDING_WINDOW_SCRIPT, {
+        keys: check.keys,
+        arguments: check.arguments,
+      });
+    }
+
+    const replies = await pipeline.execAsPipeline();
+
+    let reply = 0;
+    return checks.map((check) => {
+      if (check.keys.length === 0) return null;
+
+      const [blocked, retryAfterMs] = replies[reply++];
+      return blocked > 0
+        ? new RateLimitError(check.scopes[blocked - 1], retryAfterMs)
+        : null;
+    });
+  } catch (error) {
+    logger.error("Error checking rate limits", { error: error.message });
+    // On error, allow messages through (fail open)
+    return requests.map(() => null);
+  }
+}
+
+export async function checkRateLimit(request) {
+  const [result] = await checkRateLimits([request]);
+  return result;
+}
+
+function buildCheck({ tenantId, channel, recipient, clientId = "anonymous" }) {
+  const identities = {
+    recipient: `${tenantId}:${channel}:${recipient}`,
+    client: `${clientId}:${channel}`,
+  };
+
+  const now = Date.now();
+  const check = {
+    keys: [],
+    scopes: [],
+    arguments: [now.toString(), `${now}-${uuidv4()}`],
+  };
+
+  for (const scope of SCOPES) {
+    const limit = limits[channel]?.[scope];
+    if (!limit) continue;
+
+    check.keys.push(`ratelimit:${scope}:${identities[scope]}`);
+    check.scopes.push(scope);
+    check.arguments.push(limit.count.toString(), limit.windowMs.toString());
+  }
+
+  return check;
+}
+
+function loadLimits() {
+  const result = {};
+
+  for (const [channel, defaults] of Object.entries(DEFAULT_LIMITS)) {
+    result[channel] = {};
+    for (const scope of SCOPES) {
+      const env = `RATE_LIMIT_${channel.toUpperCase()}_${scope.toUpperCase()}`;
+      result[channel][scope] = parseLimit(
+        process.env[env] || defaults[scope],
+        env
+      );
+    }
+  }
+
+  return result;
+}
+
+function parseLimit(value, name) {
+  if (value === "off") return null;
+
+  const [count, windowSeconds] = value.split("/").map(Number);
+  if (!(count > 0) || !(windowSeconds > 0)) {
+    throw new Error(
+      `Invalid rate limit ${name}=${value}, expected count/seconds`
+    );
+  }
+
+  return { count, windowMs: windowSeconds * 1000 };
+}
@@ -1,7 +1,66 @@
-import { GraphQLScalarType, Kind } from "graphql";
+import {
+  currentTraceId,
+  injectContext,
+} from "@communication-aggregator/shared";
+import { GraphQLError, GraphQLScalarType, Kind } from "graphql";
 import { v4 as uuidv4 } from "uuid";
-import { routeMessage, checkDuplicate } from "./router.js";
+import { routeMessage, routeMessages, sendLogs } from "./router.js";
+import { checkRateLimit, checkRateLimits } from "./rateLimiter.js";
+import {
+  createApiKey,
+  listApiKeys,
+  requireScope,
+  revokeApiKey,
+} from "./auth.js";
+import {
+  completeReservation,
+  completeReservations,
+  releaseReservation,
+  releaseReservations,
+  reserveMessage,
+  reserveMessages,
+} from "./idempotency.js";
 import { logger } from "./logger.js";
+import { recordSendResult } from "./metrics.js";
+import { startMessageTrace, tracedResolver } from "./tracing.js";
+import {
+  checkSuppression,
+  checkSuppressions,
+  createUnsubscribeUrl,
+  deleteRecipientPreferences,
+  getRecipientPreferences,
+  listSuppressions,
+  setRecipientPreferences,
+  suppressRecipient,
+  unsuppressRecipient,
+} from "./preferences.js";
+import { getBatchStatus, recordBatch } from "./batches.js";
+import {
+  findMessage,
+  findMessageStatuses,
+  findMessages,
+  findMessagesByTrace,
+} from "./messageStore.js";
+import { scheduleMessage } from "./scheduler.js";
+import {
+  messageStatusTopic,
+  pubsub,
+  traceEventsTopic,
+} from "./subscriptions.js";
+import {
+  archiveTemplate,
+  createTemplate,
+  createTemplateVersion,
+  getTemplate,
+  listTemplates,
+  loadTemplates,
+  renderTemplate,
+  updateTemplate,
+} from "./templates.js";
+
+export const MAX_BULK_SIZE = parseInt(process.env.MAX_BULK_SIZE) || 10000;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const MAX_FALLBACK_STEPS = 4;
 
 // JSON Scalar Type
 const JSONScalar = new GraphQLScalarType({
@@ -51,101 +110,806 @@ export const resolvers = {
 
   Query: {
     health: () => "Task Router Service is healthy!",
+    template: (_, { templateId }, context) =>
+      getTemplate(requireScope(context, "read").tenantId, templateId),
+    templates: (_, { includeArchived }, context) =>
+      listTemplates(requireScope(context, "read").tenantId, {
+        includeArchived,
+      }),
+    batchStatus: (_, { batchId }, context) =>
+      getBatchStatus(requireScope(context, "read").tenantId, batchId),
+    message: (_, { id }, context) =>
+      findMessage(requireScope(context, "read").tenantId, id),
+    messagesByTrace: (_, { traceId }, context) =>
+      findMessagesByTrace(requireScope(context, "read").tenantId, traceId),
+    messages: (_, { filter, first, after }, context) =>
+      findMessages(requireScope(context, "read").tenantId, {
+        filter: filter || {},
+        first,
+        after,
+      }),
+    apiKeys: (_, __, context) =>
+      listApiKeys(requireScope(context, "admin").tenantId),
+    recipientPreferences: (_, { recipient }, context) =>
+      getRecipientPreferences(
+        requireScope(context, "read").tenantId,
+        recipient
+      ),
+    suppressions: (_, { reason, limit }, context) =>
+      listSuppressions(requireScope(context, "read").tenantId, {
+        reason,
+        limit: limit || undefined,
+      }),
+    unsubscribeUrl: (_, { recipient, channel, category }, context) =>
+      createUnsubscribeUrl({
+        tenantId: requireScope(context, "send").tenantId,
+        recipient,
+        channel,
+        category,
+      }),
   },
 
   Mutation: {
-    sendMessage: async (_, { input }) => {
-      const traceId = `trace_${uuidv4()}`;
-      const startTime = Date.now();
+    sendMessage: tracedResolver(
+      "sendMessage",
+      countSendResult(async (_, { input }, context) => {
+        const { tenantId, keyId } = requireScope(context, "send");
+        // The message's trace is the request's (continued from an incoming
+        // traceparent header, if any)
+        const traceId = currentTraceId();
+        const startTime = Date.now();
+        let reservation = null;
 
-      logger.info("Received message request", {
-        traceId,
-        channel: input.channel,
-        recipient: input.recipient,
-      });
+        logger.info("Received message request", {
+          traceId,
+          tenantId,
+          channel: input.channel,
+          recipient: input.recipient,
+        });
 
-      try {
-        // Validate input
-        if (!input.recipient || !input.body) {
-          throw new Error("Recipient and body are required");
-        }
+        try {
+          // Render template and validate input
+          input = await prepareInput(tenantId, input);
 
-        if (input.channel === "email" && !input.subject) {
-          throw new Error("Subject is required for email messages");
-        }
+          // Replays of an accepted request get the original message back
+          const dedup = await reserveMessage(input, traceId);
+          if (dedup.outcome !== "reserved") {
+            const [response] = await resolveDuplicates(tenantId, [
+              { traceId, input, dedup },
+            ]);
+            return response;
+          }
+          reservation = dedup.reservation;
 
-        // Validate recipient format
-        if (input.channel === "email" && !isValidEmail(input.recipient)) {
-          throw new Error("Invalid email address");
-        }
+          // Respect opt-outs and suppressions before spending any quota
+          const block = await checkSuppression(tenantId, input);
+          if (block) {
+            await releaseReservation(reservation);
+            await logSuppressions([{ traceId, input, block }]);
 
-        if (
-          (input.channel === "sms" || input.channel === "whatsapp") &&
-          !isValidPhone(input.recipient)
-        ) {
-          throw new Error("Invalid phone number format");
-        }
+            return {
+              success: false,
+              messageId: null,
+              traceId,
+              message: describeBlock(block, input),
+              errorCode: "SUPPRESSED",
+              suppressionReason: block.suppressionReason || block.reason,
+            };
+          }
+          [input] = await dropBlockedFallbacks(tenantId, [input]);
 
-        // Check for duplicates
-        const isDuplicate = await checkDuplicate(input);
-        if (isDuplicate) {
-          logger.warn("Duplicate message detected", {
-            traceId,
+          // Enforce per-recipient and per-client (API key) limits
+          const rateLimitError = await checkRateLimit({
+            tenantId,
             channel: input.channel,
             recipient: input.recipient,
+            clientId: keyId,
+          });
+          if (rateLimitError) {
+            await releaseReservation(reservation);
+            await logRateLimitRejections([
+              { traceId, input, clientId: keyId, rateLimitError },
+            ]);
+
+            throw new GraphQLError(rateLimitError.message, {
+              extensions: {
+                code: "RATE_LIMITED",
+                scope: rateLimitError.scope,
+                retryAfter: rateLimitError.retryAfter,
+              },
+            });
+          }
+
+          // Route message
+          const messageId = `msg_${uuidv4()}`;
+          const message = {
+            messageId,
+            traceId,
+            traceContext: injectContext(),
+            ...input,
+            timestamp: new Date().toISOString(),
+            status: "queued",
+          };
+
+          // Hold future messages in the scheduler instead of queueing now
+          if (isScheduled(input)) {
+            message.sendAt = new Date(input.sendAt).toISOString();
+            message.status = "scheduled";
+            await scheduleMessage(message);
+            await completeReservation(reservation, message);
+
+            return {
+              success: true,
+              messageId,
+              traceId,
+              message: `Message scheduled for ${message.sendAt}`,
+              status: message.status,
+            };
+          }
+
+          await routeMessage(message);
+          await completeReservation(reservation, message);
+
+          const duration = Date.now() - startTime;
+          logger.info("Message routed successfully", {
+            traceId,
+            messageId,
+            channel: input.channel,
+            duration: `${duration}ms`,
+          });
+
+          return {
+            success: true,
+            messageId,
+            traceId,
+            message: "Message queued successfully",
+            status: message.status,
+          };
+        } catch (error) {
+          // Auth and rate limit rejections surface as GraphQL errors with their
+          // own code
+          if (error instanceof GraphQLError) {
+            throw error;
+          }
+
+          // Let the client retry a send that failed to route
+          await releaseReservation(reservation);
+
+          logger.error("Error processing message", {
+            traceId,
+            error: error.message,
+            stack: error.stack,
           });
 
           return {
             success: false,
             messageId: null,
             traceId,
-            message: "Duplicate message detected",
+            message: `Error: ${error.message}`,
           };
         }
+      })
+    ),
 
-        // Route message
-        const messageId = `msg_${uuidv4()}`;
-        const message = {
-          messageId,
-          traceId,
-          ...input,
-          timestamp: new Date().toISOString(),
-          status: "queued",
+    sendBulkMessages: tracedResolver(
+      "sendBulkMessages",
+      async (_, { inputs }, context) => {
+        const { tenantId, keyId } = requireScope(context, "send");
+        const batchId = `batch_${uuidv4()}`;
+        const startTime = Date.now();
+
+        if (inputs.length === 0 || inputs.length > MAX_BULK_SIZE) {
+          throw new Error(
+            `Bulk requests must contain between 1 and ${MAX_BULK_SIZE} messages`
+          );
+        }
+
+        logger.info("Received bulk message request", {
+          batchId,
+          tenantId,
+          count: inputs.length,
+        });
+
+        const results = new Array(inputs.length);
+        const reject = (index, traceId, message, extra = {}) => {
+          results[index] = {
+            success: false,
+            messageId: null,
+            traceId,
+            batchId,
+            message,
+            ...extra,
+          };
         };
 
-        await routeMessage(message);
+        // Validate every item, keeping the ones that pass. Each template is
+        // loaded once for the whole batch.
+        const templates = await loadTemplates(
+          tenantId,
+          inputs.map(({ templateId }) => templateId)
+        );
+        const validated = [];
+        for (const [index, item] of inputs.entries()) {
+          const { traceId, traceContext } = startMessageTrace(
+            "graphql sendBulkMessages item",
+            { batchId, "batch.index": index }
+          );
+          try {
+            validated.push({
+              index,
+              traceId,
+              traceContext,
+              input: await prepareInput(tenantId, item, templates),
+            });
+          } catch (error) {
+            reject(index, traceId, `Error: ${error.message}`);
+          }
+        }
+
+        // Reserve dedup keys in one Redis round trip; replays get the original
+        // message back
+        const dedups = await reserveMessages(
+          validated.map(({ traceId, input }) => ({ input, token: traceId }))
+        );
+        const reserved = [];
+        const duplicates = [];
+        for (const [i, item] of validated.entries()) {
+          const dedup = dedups[i];
+          if (dedup.outcome === "reserved") {
+            reserved.push({ ...item, reservation: dedup.reservation });
+          } else {
+            duplicates.push({ ...item, dedup });
+          }
+        }
+
+        const duplicateResponses = await resolveDuplicates(
+          tenantId,
+          duplicates
+        );
+        for (const [i, { index }] of duplicates.entries()) {
+          results[index] = { ...duplicateResponses[i], batchId };
+        }
 
-        const duration = Date.now() - startTime;
-        logger.info("Message routed successfully", {
+        // Drop suppressed and opted-out recipients in a single query
+        const blocks = await checkSuppressions(
+          tenantId,
+          reserved.map(({ input }) => input)
+        );
+        const allowed = [];
+        const suppressions = [];
+        for (const [i, item] of reserved.entries()) {
+          const block = blocks[i];
+          if (!block) {
+            allowed.push(item);
+            continue;
+          }
+
+          reject(item.index, item.traceId, describeBlock(block, item.input), {
+            errorCode: "SUPPRESSED",
+            suppressionReason: block.suppressionReason || block.reason,
+          });
+          suppressions.push({ ...item, block });
+        }
+        await logSuppressions(suppressions);
+
+        const withFallbacks = await dropBlockedFallbacks(
+          tenantId,
+          allowed.map(({ input }) => input)
+        );
+        for (const [i, item] of allowed.entries()) {
+          item.input = withFallbacks[i];
+        }
+
+        // Enforce rate limits in one pipelined round trip
+        const rateLimitErrors = await checkRateLimits(
+          allowed.map(({ input }) => ({
+            tenantId,
+            channel: input.channel,
+            recipient: input.recipient,
+            clientId: keyId,
+          }))
+        );
+
+        const valid = [];
+        const rejections = [];
+        for (const [i, item] of allowed.entries()) {
+          const rateLimitError = rateLimitErrors[i];
+          if (!rateLimitError) {
+            valid.push(item);
+            continue;
+          }
+
+          reject(item.index, item.traceId, rateLimitError.message, {
+            errorCode: "RATE_LIMITED",
+            retryAfter: rateLimitError.retryAfter,
+          });
+          rejections.push({
+            ...item,
+            clientId: keyId,
+            rateLimitError,
+          });
+        }
+        await logRateLimitRejections(rejections);
+
+        // Reservations of rejected sends are released below, completed ones
+        // remembered for the dedup window
+        const failedReservations = [...suppressions, ...rejections].map(
+          (item) => item.reservation
+        );
+        const completed = [];
+
+        const toRoute = [];
+        for (const {
+          index,
           traceId,
-          messageId,
-          channel: input.channel,
-          duration: `${duration}ms`,
+          traceContext,
+          input,
+          reservation,
+        } of valid) {
+          const messageId = `msg_${uuidv4()}`;
+          const message = {
+            messageId,
+            traceId,
+            traceContext,
+            batchId,
+            ...input,
+            timestamp: new Date().toISOString(),
+            status: "queued",
+          };
+
+          if (isScheduled(input)) {
+            message.sendAt = new Date(input.sendAt).toISOString();
+            message.status = "scheduled";
+            try {
+              await scheduleMessage(message);
+              completed.push({ reservation, message });
+              results[index] = {
+                success: true,
+                messageId,
+                traceId,
+                batchId,
+                message: `Message scheduled for ${message.sendAt}`,
+                status: message.status,
+              };
+            } catch (error) {
+              failedReservations.push(reservation);
+              reject(index, traceId, `Error: ${error.message}`);
+            }
+            continue;
+          }
+
+          toRoute.push({ index, message, reservation });
+        }
+
+        // Publish the rest in batches
+        const routed = await routeMessages(toRoute.map((r) => r.message));
+        for (const [i, { index, message, reservation }] of toRoute.entries()) {
+          if (routed[i].error) {
+            failedReservations.push(reservation);
+            reject(index, message.traceId, `Error: ${routed[i].error}`);
+          } else {
+            completed.push({ reservation, message });
+            results[index] = {
+              success: true,
+              messageId: message.messageId,
+              traceId: message.traceId,
+              batchId,
+              message: "Message queued successfully",
+              status: message.status,
+            };
+          }
+        }
+
+        await completeReservations(completed);
+        await releaseReservations(failedReservations);
+
+        // Duplicates belong to the batch of their original request
+        const duplicateCount = results.filter(
+          (result) => result.duplicate
+        ).length;
+        const accepted =
+          results.filter((result) => result.success).length - duplicateCount;
+        const summary = {
+          total: inputs.length,
+          accepted,
+          duplicates: duplicateCount,
+          rejected: inputs.length - accepted - duplicateCount,
+        };
+
+        await recordBatch(tenantId, batchId, summary);
+        results.forEach((result, index) =>
+          recordSendResult(inputs[index].channel, result)
+        );
+
+        logger.info("Bulk message request processed", {
+          batchId,
+          ...summary,
+          duration: `${Date.now() - startTime}ms`,
+        });
+
+        return { batchId, ...summary, results };
+      }
+    ),
+
+    createTemplate: (_, { input }, context) =>
+      createTemplate(requireScope(context, "admin").tenantId, input),
+    updateTemplate: (_, { templateId, input }, context) =>
+      updateTemplate(
+        requireScope(context, "admin").tenantId,
+        templateId,
+        input
+      ),
+    createTemplateVersion: (_, { templateId, variants }, context) =>
+      createTemplateVersion(
+        requireScope(context, "admin").tenantId,
+        templateId,
+        variants
+      ),
+    archiveTemplate: (_, { templateId }, context) =>
+      archiveTemplate(requireScope(context, "admin").tenantId, templateId),
+
+    // Keys are always created for the caller's own tenant
+    createApiKey: (_, { input }, context) =>
+      createApiKey({
+        ...input,
+        tenantId: requireScope(context, "admin").tenantId,
+      }),
+    revokeApiKey: (_, { keyId }, context) =>
+      revokeApiKey(requireScope(context, "admin").tenantId, keyId),
+
+    setRecipientPreferences: (_, { input }, context) =>
+      setRecipientPreferences(requireScope(context, "admin").tenantId, input),
+    suppressRecipient: (_, { recipient, reason, note }, context) =>
+      suppressRecipient(
+        requireScope(context, "admin").tenantId,
+        recipient,
+        reason,
+        note
+      ),
+    unsuppressRecipient: (_, { recipient }, context) =>
+      unsuppressRecipient(requireScope(context, "admin").tenantId, recipient),
+    deleteRecipientPreferences: (_, { recipient }, context) =>
+      deleteRecipientPreferences(
+        requireScope(context, "admin").tenantId,
+        recipient
+      ),
+  },
+
+  Subscription: {
+    messageStatusChanged: {
+      subscribe: (_, { messageId }, context) =>
+        pubsub.asyncIterableIterator(
+          messageStatusTopic(requireScope(context, "read").tenantId, messageId)
+        ),
+      resolve: (event) => event,
+    },
+    traceEvents: {
+      subscribe: (_, { traceId }, context) =>
+        pubsub.asyncIterableIterator(
+          traceEventsTopic(requireScope(context, "read").tenantId, traceId)
+        ),
+      resolve: (event) => event,
+    },
+  },
+};
+
+// Drops fallback steps to recipients who are suppressed or opted out of the
+// step's channel, in one query for all inputs
+async function dropBlockedFallbacks(tenantId, inputs) {
+  const steps = inputs.flatMap((input) =>
+    (input.fallback || []).map((step) => ({
+      channel: step.channel,
+      recipient: step.recipient,
+      category: input.category,
+    }))
+  );
+  if (steps.length === 0) return inputs;
+
+  const blocks = await checkSuppressions(tenantId, steps);
+  let i = 0;
+  return inputs.map((input) => {
+    if (!input.fallback?.length) return input;
+
+    const fallback = input.fallback.filter((step) => {
+      const block = blocks[i++];
+      if (block) {
+        logger.info("Fallback step dropped", {
+          tenantId,
+          channel: step.channel,
+          recipient: step.recipient,
+          reason: block.suppressionReason || block.reason,
         });
+      }
+      return !block;
+    });
+    return { ...input, fallback };
+  });
+}
 
+// Counts sendMessage responses in the router metrics. Rate-limited sends
+// surface as GraphQL errors instead of a response.
+function countSendResult(resolve) {
+  return async (parent, args, context, info) => {
+    try {
+      const result = await resolve(parent, args, context, info);
+      recordSendResult(args.input.channel, result);
+      return result;
+    } catch (error) {
+      if (error.extensions?.code === "RATE_LIMITED") {
+        recordSendResult(args.input.channel, {
+          success: false,
+          errorCode: "RATE_LIMITED",
+        });
+      }
+      throw error;
+    }
+  };
+}
+
+// Builds the responses for sends that matched an earlier request. Duplicates
+// of an accepted message report its current status where it is stored.
+async function resolveDuplicates(tenantId, duplicates) {
+  for (const { traceId, input, dedup } of duplicates) {
+    logger.warn("Duplicate message detected", {
+      traceId,
+      tenantId,
+      channel: input.channel,
+      recipient: input.recipient,
+      idempotencyKey: input.idempotencyKey,
+      outcome: dedup.outcome,
+      originalMessageId: dedup.original?.messageId,
+    });
+  }
+
+  const originals = duplicates
+    .filter(({ dedup }) => dedup.outcome === "duplicate")
+    .map(({ dedup }) => dedup.original.messageId);
+  const statuses =
+    originals.length > 0
+      ? await findMessageStatuses(tenantId, originals)
+      : new Map();
+
+  return duplicates.map(({ traceId, dedup }) => {
+    switch (dedup.outcome) {
+      case "duplicate":
         return {
           success: true,
-          messageId,
-          traceId,
-          message: "Message queued successfully",
+          messageId: dedup.original.messageId,
+          traceId: dedup.original.traceId,
+          message: "Duplicate request, returning the original message",
+          status:
+            statuses.get(dedup.original.messageId) || dedup.original.status,
+          duplicate: true,
         };
-      } catch (error) {
-        logger.error("Error processing message", {
+      case "key_reused":
+        return {
+          success: false,
+          messageId: null,
           traceId,
-          error: error.message,
-          stack: error.stack,
-        });
-
+          message: "Idempotency key was already used for a different message",
+          errorCode: "IDEMPOTENCY_KEY_REUSED",
+        };
+      default:
         return {
           success: false,
           messageId: null,
           traceId,
-          message: `Error: ${error.message}`,
+          message: "An identical request is still being processed",
+          errorCode: "DUPLICATE_IN_PROGRESS",
         };
-      }
-    },
-  },
-};
+    }
+  });
+}
+
+async function logRateLimitRejections(rejections) {
+  for (const { traceId, input, clientId, rateLimitError } of rejections) {
+    logger.warn("Message rejected by rate limit", {
+      traceId,
+      channel: input.channel,
+      recipient: input.recipient,
+      clientId,
+      scope: rateLimitError.scope,
+      retryAfter: rateLimitError.retryAfter,
+    });
+  }
+
+  await sendLogs(
+    rejections.map(({ traceId, input, clientId, rateLimitError }) => ({
+      service: "router",
+      level: "warn",
+      message: "Message rejected by rate limit",
+      tenantId: input.tenantId,
+      traceId,
+      channel: input.channel,
+      recipient: input.recipient,
+      clientId,
+      scope: rateLimitError.scope,
+      retryAfter: rateLimitError.retryAfter,
+      timestamp: new Date().toISOString(),
+    }))
+  );
+}
+
+async function logSuppressions(suppressions) {
+  for (const { traceId, input, block } of suppressions) {
+    logger.info("Message suppressed", {
+      traceId,
+      channel: input.channel,
+      recipient: input.recipient,
+      category: input.category,
+      reason: block.suppressionReason || block.reason,
+    });
+  }
+
+  await sendLogs(
+    suppressions.map(({ traceId, input, block }) => ({
+      service: "router",
+      level: "info",
+      message: "Message suppressed",
+      tenantId: input.tenantId,
+      traceId,
+      channel: input.channel,
+      recipient: input.recipient,
+      category: input.category,
+      reason: block.suppressionReason || block.reason,
+      timestamp: new Date().toISOString(),
+    }))
+  );
+}
+
+function describeBlock(block, input) {
+  switch (block.reason) {
+    case "opted_out_channel":
+      return `Recipient opted out of ${input.channel} messages`;
+    case "opted_out_category":
+      return `Recipient opted out of ${input.category} messages`;
+    default:
+      return `Recipient is suppressed (${block.suppressionReason})`;
+  }
+}
+
+// Renders the template (if any), validates the resulting input and stamps it
+// with the caller's tenant. Bulk sends pass the templates loaded for the whole
+// batch; otherwise the input's template is loaded here.
+async function prepareInput(tenantId, input, templates) {
+  templates ??= await loadTemplates(tenantId, [input.templateId]);
+
+  // A signed unsubscribe link, usable as {{unsubscribeUrl}} in templates and
+  // sent as the List-Unsubscribe header for email
+  const unsubscribeUrl = input.recipient
+    ? createUnsubscribeUrl({
+        tenantId,
+        recipient: input.recipient,
+        channel: input.channel,
+        category: input.category,
+      })
+    : undefined;
+
+  const fallback = input.fallback
+    ? prepareFallback(tenantId, input, templates)
+    : undefined;
+
+  if (input.templateId) {
+    const rendered = renderTemplate(
+      templates,
+      input.templateId,
+      input.channel,
+      { unsubscribeUrl, ...(input.variables || {}) },
+      input.templateVersion
+    );
+    input = { ...input, ...rendered, variables: undefined };
+  }
+
+  if (!input.recipient || !input.body) {
+    throw new Error("Recipient and body are required");
+  }
+
+  if (input.channel === "email" && !input.subject) {
+    throw new Error("Subject is required for email messages");
+  }
+
+  validateRecipient(input.channel, input.recipient);
+
+  if (
+    input.idempotencyKey != null &&
+    (!input.idempotencyKey ||
+      input.idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)
+  ) {
+    throw new Error(
+      `idempotencyKey must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+    );
+  }
+
+  if (input.sendAt && isNaN(Date.parse(input.sendAt))) {
+    throw new Error("Invalid sendAt timestamp");
+  }
+
+  return {
+    ...input,
+    tenantId,
+    unsubscribeUrl,
+    fallback,
+    // Normalized to ISO-8601, as the queue message schema expects
+    sendAt: input.sendAt ? new Date(input.sendAt).toISOString() : undefined,
+    priority: input.priority || "normal",
+  };
+}
+
+// Renders and validates the fallback steps. Steps without their own content
+// reuse the message's, or the template's variant for the step's channel.
+function prepareFallback(tenantId, input, templates) {
+  if (input.fallback.length > MAX_FALLBACK_STEPS) {
+    throw new Error(`At most ${MAX_FALLBACK_STEPS} fallback steps are allowed`);
+  }
+
+  const steps = [];
+  for (const step of input.fallback) {
+    validateRecipient(step.channel, step.recipient);
+
+    if (step.timeoutSeconds != null && !(step.timeoutSeconds > 0)) {
+      throw new Error("Fallback timeoutSeconds must be positive");
+    }
+
+    const unsubscribeUrl = createUnsubscribeUrl({
+      tenantId,
+      recipient: step.recipient,
+      channel: step.channel,
+      category: input.category,
+    });
+
+    let { subject, body } = step;
+    if (!body && input.templateId) {
+      const rendered = renderTemplate(
+        templates,
+        input.templateId,
+        step.channel,
+        { unsubscribeUrl, ...(input.variables || {}) },
+        input.templateVersion
+      );
+      subject ??= rendered.subject;
+      body = rendered.body;
+    }
+
+    subject ??= input.subject;
+    body ??= input.body;
+
+    if (!body) {
+      throw new Error(`Body is required for the ${step.channel} fallback`);
+    }
+
+    if (step.channel === "email" && !subject) {
+      throw new Error("Subject is required for email fallbacks");
+    }
+
+    steps.push({
+      channel: step.channel,
+      recipient: step.recipient,
+      subject: step.channel === "email" ? subject : undefined,
+      body,
+      unsubscribeUrl,
+      timeoutSeconds: step.timeoutSeconds ?? undefined,
+    });
+  }
+
+  return steps;
+}
+
+function validateRecipient(channel, recipient) {
+  if (channel === "email" && !isValidEmail(recipient)) {
+    throw new Error("Invalid email address");
+  }
+
+  if (
+    (channel === "sms" || channel === "whatsapp") &&
+    !isValidPhone(recipient)
+  ) {
+    throw new Error("Invalid phone number format");
+  }
+}
+
+function isScheduled(input) {
+  return Boolean(input.sendAt) && Date.parse(input.sendAt) > Date.now();
+}
 
 function isValidEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
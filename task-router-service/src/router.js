@@ -1,25 +1,41 @@
 import amqp from "amqplib";
 import { createClient } from "redis";
 import { Kafka } from "kafkajs";
-import { createHash } from "crypto";
+import mongoose from "mongoose";
+import { ROOT_CONTEXT, context, trace } from "@opentelemetry/api";
+import {
+  CHANNELS,
+  PRIORITIES,
+  QUEUES,
+  SpanKind,
+  createQueueMessage,
+  extractContext,
+  failLiveness,
+  failSpan,
+  injectContext,
+  laneQueue,
+  publishLogEvents,
+} from "@communication-aggregator/shared";
 import { logger } from "./logger.js";
+import { kafkaLogFailures, routingDuration } from "./metrics.js";
+import { addToOutbox, removeFromOutbox } from "./outbox.js";
+import { tracer, withSpan } from "./tracing.js";
 
 const RABBITMQ_URL = process.env.RABBITMQ_URL || "amqp://localhost:5672";
 const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
 const KAFKA_BROKER = process.env.KAFKA_BROKER || "localhost:9092";
+const MONGODB_URL =
+  process.env.MONGODB_URL || "mongodb://localhost:27017/communication";
+
+const ROUTE_BATCH_SIZE = parseInt(process.env.ROUTE_BATCH_SIZE) || 500;
 
 let rabbitConnection;
 let rabbitChannel;
 let redisClient;
 let kafkaProducer;
-
-// Queue names
-const QUEUES = {
-  email: "email_queue",
-  sms: "sms_queue",
-  whatsapp: "whatsapp_queue",
-  dlq: "dead_letter_queue",
-};
+let rabbitReady = false;
+let kafkaReady = false;
+let closing = false;
 
 export async function initializeConnections() {
   try {
@@ -32,6 +48,9 @@ export async function initializeConnections() {
     // Initialize Kafka
     await initKafka();
 
+    // Initialize MongoDB (templates)
+    await initMongoDB();
+
     logger.info("All connections initialized successfully");
   } catch (error) {
     logger.error("Failed to initialize connections", { error: error.message });
@@ -41,10 +60,32 @@ export async function initializeConnections() {
 
 async function initRabbitMQ() {
   rabbitConnection = await amqp.connect(RABBITMQ_URL);
-  rabbitChannel = await rabbitConnection.createChannel();
+  rabbitChannel = await rabbitConnection.createConfirmChannel();
+  rabbitReady = true;
+
+  // A closed channel is not reopened, so liveness fails and the process is
+  // restarted
+  rabbitChannel.on("close", () => {
+    rabbitReady = false;
+    if (closing) return;
 
-  // Create queues
-  for (const queue of Object.values(QUEUES)) {
+    logger.error("RabbitMQ channel closed, failing liveness");
+    failLiveness("RabbitMQ channel closed");
+  });
+  rabbitConnection.on("error", (err) => {
+    logger.error("RabbitMQ connection error", { error: err.message });
+  });
+
+  // Create the dead letter queue and every channel's priority lanes, so
+  // critical messages never wait behind bulk sends
+  const queues = [QUEUES.dlq];
+  for (const channel of CHANNELS) {
+    for (const priority of PRIORITIES) {
+      queues.push(laneQueue(QUEUES[channel], priority));
+    }
+  }
+
+  for (const queue of queues) {
     await rabbitChannel.assertQueue(queue, {
       durable: true,
       arguments: {
@@ -54,7 +95,7 @@ async function initRabbitMQ() {
     });
   }
 
-  logger.info("RabbitMQ initialized", { queues: Object.keys(QUEUES) });
+  logger.info("RabbitMQ initialized", { queues });
 }
 
 async function initRedis() {
@@ -79,127 +120,341 @@ async function initKafka() {
   });
 
   kafkaProducer = kafka.producer();
+  kafkaProducer.on(kafkaProducer.events.CONNECT, () => {
+    kafkaReady = true;
+  });
+  kafkaProducer.on(kafkaProducer.events.DISCONNECT, () => {
+    kafkaReady = false;
+  });
   await kafkaProducer.connect();
   logger.info("Kafka producer connected");
 }
 
-export async function checkDuplicate(input) {
-  try {
-    const messageHash = createHash("sha256")
-      .update(`${input.channel}:${input.recipient}:${input.body}`)
-      .digest("hex");
+async function initMongoDB() {
+  await mongoose.connect(MONGODB_URL);
+  logger.info("Connected to MongoDB", { url: MONGODB_URL });
+}
 
-    const exists = await redisClient.get(`dedup:${messageHash}`);
+export async function routeMessage(message) {
+  const { tenantId, channel, traceId, messageId, priority } = message;
 
-    if (exists) {
-      return true;
-    }
+  return withSpan(
+    `publish ${channel}`,
+    publishSpanOptions(message),
+    async (span) => {
+      const subtraceId = span.spanContext().spanId;
 
-    // Store hash with 24-hour expiry
-    await redisClient.setEx(`dedup:${messageHash}`, 86400, "1");
-    return false;
-  } catch (error) {
-    logger.error("Error checking duplicate", { error: error.message });
-    // On error, allow message through (fail open)
-    return false;
-  }
-}
+      try {
+        const envelope = buildEnvelope(message, span);
+        const [error] = await publishWithOutbox([envelope]);
+        if (error) throw error;
 
-export async function routeMessage(message) {
-  const { channel, traceId, messageId } = message;
-  const subtraceId = `subtrace_${Date.now()}`;
+        // Log to Kafka
+        await sendLog({
+          service: "router",
+          level: "info",
+          message: "Message routed to queue",
+          status: "queued",
+          tenantId,
+          traceId,
+          subtraceId,
+          messageId,
+          channel,
+          priority,
+          queueName: envelope.queueName,
+          timestamp: new Date().toISOString(),
+        });
 
-  try {
-    // Determine target queue
-    const queueName = QUEUES[channel];
-    if (!queueName) {
-      throw new Error(`Unknown channel: ${channel}`);
-    }
+        logger.info("Message sent to queue", {
+          traceId,
+          subtraceId,
+          messageId,
+          channel,
+          priority,
+          queueName: envelope.queueName,
+        });
+      } catch (error) {
+        // Log error to Kafka
+        await sendLog({
+          service: "router",
+          level: "error",
+          message: "Failed to route message",
+          tenantId,
+          traceId,
+          subtraceId,
+          messageId,
+          channel,
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        });
 
-    // Add retry metadata
-    message.retryCount = 0;
-    message.maxRetries = 3;
-    message.subtraceId = subtraceId;
-
-    // Send to RabbitMQ
-    const sent = rabbitChannel.sendToQueue(
-      queueName,
-      Buffer.from(JSON.stringify(message)),
-      {
-        persistent: true,
-        headers: {
-          "x-retry-count": 0,
-          "x-trace-id": traceId,
-          "x-subtrace-id": subtraceId,
-        },
+        throw error;
       }
-    );
+    },
+    messageContext(message)
+  );
+}
 
-    if (!sent) {
-      throw new Error("Failed to send message to queue");
-    }
+// Publishes messages in batches of ROUTE_BATCH_SIZE with one outbox write and
+// one Kafka send per batch. Returns a { messageId, error } result per message,
+// in order.
+export async function routeMessages(messages) {
+  const results = [];
+
+  for (let i = 0; i < messages.length; i += ROUTE_BATCH_SIZE) {
+    const batch = messages.slice(i, i + ROUTE_BATCH_SIZE);
+    const logs = [];
 
-    // Log to Kafka
-    await sendLog({
-      service: "router",
-      level: "info",
-      message: "Message routed to queue",
-      traceId,
-      subtraceId,
-      messageId,
-      channel,
-      queueName,
-      timestamp: new Date().toISOString(),
+    // One producer span per message, in the message's own trace
+    const spans = batch.map((message) =>
+      tracer.startSpan(
+        `publish ${message.channel}`,
+        publishSpanOptions(message),
+        messageContext(message)
+      )
+    );
+
+    const envelopes = batch.map((message, index) => {
+      try {
+        return buildEnvelope(message, spans[index]);
+      } catch (error) {
+        return { error };
+      }
     });
 
-    logger.info("Message sent to queue", {
-      traceId,
-      subtraceId,
-      messageId,
-      channel,
-      queueName,
+    const publishable = envelopes.filter((envelope) => !envelope.error);
+    let publishErrors;
+    try {
+      publishErrors = await publishWithOutbox(publishable);
+    } catch (error) {
+      // The outbox write failed, so nothing in the batch was published
+      publishErrors = publishable.map(() => error);
+    }
+    publishable.forEach((envelope, index) => {
+      envelope.error = publishErrors[index];
     });
-  } catch (error) {
-    // Log error to Kafka
-    await sendLog({
-      service: "router",
-      level: "error",
-      message: "Failed to route message",
-      traceId,
-      subtraceId,
-      messageId,
-      channel,
-      error: error.message,
-      timestamp: new Date().toISOString(),
+
+    batch.forEach((message, index) => {
+      const { tenantId, channel, traceId, messageId, batchId, priority } =
+        message;
+      const { queueName, error } = envelopes[index];
+      const span = spans[index];
+      const subtraceId = span.spanContext().spanId;
+      if (error) failSpan(span, error);
+      span.end();
+
+      if (!error) {
+        logs.push({
+          service: "router",
+          level: "info",
+          message: "Message routed to queue",
+          status: "queued",
+          tenantId,
+          traceId,
+          subtraceId,
+          messageId,
+          batchId,
+          channel,
+          priority,
+          queueName,
+          timestamp: new Date().toISOString(),
+        });
+        results.push({ messageId, error: null });
+      } else {
+        logs.push({
+          service: "router",
+          level: "error",
+          message: "Failed to route message",
+          tenantId,
+          traceId,
+          subtraceId,
+          messageId,
+          batchId,
+          channel,
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        });
+        results.push({ messageId, error: error.message });
+      }
     });
 
-    throw error;
+    await sendLogs(logs);
   }
+
+  logger.info("Message batch sent to queues", {
+    count: messages.length,
+    failed: results.filter((result) => result.error).length,
+  });
+
+  return results;
+}
+
+// Resolves the target queue and adds retry metadata. The envelope holds the
+// exact content and headers to publish, and is what the outbox persists; the
+// content is validated against the queue message schema (see shared/).
+function buildEnvelope(message, span) {
+  const { tenantId, channel, traceId, messageId, priority } = message;
+  const subtraceId = span.spanContext().spanId;
+
+  // Determine target queue
+  if (!QUEUES[channel] || channel === "dlq") {
+    throw new Error(`Unknown channel: ${channel}`);
+  }
+  const queueName = laneQueue(QUEUES[channel], priority);
+  span.setAttribute("messaging.destination.name", queueName);
+
+  // Add retry metadata
+  message.retryCount = 0;
+  message.maxRetries = 3;
+  message.subtraceId = subtraceId;
+  message.queuedAt = new Date().toISOString();
+
+  return {
+    messageId,
+    tenantId,
+    traceId,
+    channel,
+    queueName,
+    content: JSON.stringify(createQueueMessage(message)),
+    headers: {
+      "x-retry-count": 0,
+      "x-trace-id": traceId,
+      "x-tenant-id": tenantId,
+      "x-subtrace-id": subtraceId,
+      "x-priority": priority || "normal",
+      // W3C trace context of the publish span for the delivery consumer
+      ...injectContext(trace.setSpan(ROOT_CONTEXT, span)),
+    },
+  };
+}
+
+// The trace a message was accepted under (see resolvers.js); scheduled and
+// bulk messages are published outside the request that accepted them
+function messageContext(message) {
+  return message.traceContext
+    ? extractContext(message.traceContext)
+    : context.active();
+}
+
+function publishSpanOptions(message) {
+  return {
+    kind: SpanKind.PRODUCER,
+    attributes: {
+      "messaging.system": "rabbitmq",
+      "messaging.operation": "publish",
+      "messaging.message.id": message.messageId,
+      "message.channel": message.channel,
+      "message.priority": message.priority || "normal",
+    },
+  };
+}
+
+// Writes the envelopes to the outbox, publishes them and waits for the
+// broker's confirms. Returns an error (or null) per envelope. Rejected
+// messages are reported to the caller, so they leave the outbox along with
+// the confirmed ones; only messages whose outcome is unknown (the process
+// died first) are left for the relay.
+async function publishWithOutbox(envelopes) {
+  if (envelopes.length === 0) return [];
+
+  await addToOutbox(envelopes);
+
+  const outcomes = await Promise.allSettled(
+    envelopes.map(async (envelope) => {
+      const endTimer = routingDuration.startTimer({
+        channel: envelope.channel,
+      });
+      try {
+        await publishToQueue(
+          envelope.queueName,
+          envelope.content,
+          envelope.headers
+        );
+        endTimer({ outcome: "confirmed" });
+      } catch (error) {
+        endTimer({ outcome: "failed" });
+        throw error;
+      }
+    })
+  );
+
+  await removeFromOutbox(envelopes.map((envelope) => envelope.messageId));
+
+  return outcomes.map((outcome) =>
+    outcome.status === "rejected" ? outcome.reason : null
+  );
+}
+
+// Publishes on the confirm channel and resolves once the broker acks the
+// message, rejecting if it nacks.
+export function publishToQueue(queueName, content, headers) {
+  return new Promise((resolve, reject) => {
+    try {
+      rabbitChannel.sendToQueue(
+        queueName,
+        Buffer.from(content),
+        { persistent: true, headers },
+        (error) => {
+          if (error) {
+            reject(new Error("Message was rejected by the broker"));
+          } else {
+            resolve();
+          }
+        }
+      );
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+export function getRedisClient() {
+  return redisClient;
 }
 
 async function sendLog(logData) {
+  await sendLogs([logData]);
+}
+
+export async function sendLogs(logEntries) {
+  if (logEntries.length === 0) return;
+
   try {
-    await kafkaProducer.send({
-      topic: "communication-logs",
-      messages: [
-        {
-          key: logData.traceId,
-          value: JSON.stringify(logData),
-          timestamp: Date.now().toString(),
-        },
-      ],
-    });
+    // The logging service continues the trace of the span that logged
+    await publishLogEvents(kafkaProducer, logEntries, injectContext());
   } catch (error) {
+    kafkaLogFailures.inc(logEntries.length);
     logger.error("Failed to send log to Kafka", { error: error.message });
   }
 }
 
-// Graceful shutdown
-process.on("SIGINT", async () => {
+// Readiness probes for /health/ready, see health.js
+export const connectionProbes = {
+  rabbitmq: async () => {
+    if (!rabbitReady) throw new Error("Channel closed");
+  },
+  redis: async () => {
+    await redisClient.ping();
+  },
+  kafka: async () => {
+    if (!kafkaReady) throw new Error("Producer disconnected");
+  },
+  mongodb: async () => {
+    await mongoose.connection.db.admin().ping();
+  },
+};
+
+// Closes every connection once in-flight work is done. Waits for pending
+// publisher confirms before closing the channel.
+export async function closeConnections() {
+  closing = true;
   logger.info("Closing connections...");
-  if (rabbitChannel) await rabbitChannel.close();
+  if (rabbitChannel) {
+    await rabbitChannel.waitForConfirms();
+    await rabbitChannel.close();
+  }
   if (rabbitConnection) await rabbitConnection.close();
   if (redisClient) await redisClient.quit();
   if (kafkaProducer) await kafkaProducer.disconnect();
-  process.exit(0);
-});
+  await mongoose.connection.close();
+}
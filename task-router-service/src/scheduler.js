@@ -0,0 +1,181 @@
+import { waitUntil } from "@communication-aggregator/shared";
+import { logger } from "./logger.js";
+import {
+  markScheduledMessageQueued,
+  markScheduledMessageSuppressed,
+  recordScheduledMessage,
+} from "./messageStore.js";
+import { checkSuppression } from "./preferences.js";
+import { getRedisClient, routeMessage, sendLogs } from "./router.js";
+
+const SCHEDULE_KEY = "scheduled:messages";
+const PAYLOAD_KEY_PREFIX = "scheduled:message:";
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 1000;
+const BATCH_SIZE = parseInt(process.env.SCHEDULER_BATCH_SIZE) || 100;
+const LEASE_MS = parseInt(process.env.SCHEDULER_LEASE_MS) || 30000;
+
+// Atomically claims due messages by pushing their score forward by the lease.
+// A claimed message that is not removed (e.g. the process crashed while
+// publishing) becomes due again once the lease expires.
+const CLAIM_DUE_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[3])
+for _, id in ipairs(due) do
+  redis.call('ZADD', KEYS[1], ARGV[2], id)
+end
+return due
+`;
+
+let pollTimer;
+let polling = false;
+
+export async function scheduleMessage(message) {
+  const redisClient = getRedisClient();
+  const { messageId, traceId, channel, sendAt } = message;
+
+  // Payload first so a due entry never points at a missing message
+  await redisClient.set(
+    `${PAYLOAD_KEY_PREFIX}${messageId}`,
+    JSON.stringify(message)
+  );
+  await redisClient.zAdd(SCHEDULE_KEY, {
+    score: new Date(sendAt).getTime(),
+    value: messageId,
+  });
+
+  await recordScheduledMessage(message);
+
+  logger.info("Message scheduled", { traceId, messageId, channel, sendAt });
+}
+
+export function startScheduler() {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    pollDueMessages().catch((error) => {
+      logger.error("Scheduler poll failed", { error: error.message });
+    });
+  }, POLL_INTERVAL_MS);
+
+  logger.info("Message scheduler started", {
+    pollInterval: `${POLL_INTERVAL_MS}ms`,
+  });
+}
+
+// Stops polling and waits for a batch being released to finish
+export async function stopScheduler() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  await waitUntil(() => !polling);
+}
+
+async function pollDueMessages() {
+  // Skip the tick if the previous batch is still being published
+  if (polling) return;
+  polling = true;
+
+  try {
+    const redisClient = getRedisClient();
+    const now = Date.now();
+
+    const dueIds = await redisClient.eval(CLAIM_DUE_SCRIPT, {
+      keys: [SCHEDULE_KEY],
+      arguments: [
+        now.toString(),
+        (now + LEASE_MS).toString(),
+        BATCH_SIZE.toString(),
+      ],
+    });
+
+    for (const messageId of dueIds) {
+      await publishDueMessage(messageId);
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+async function publishDueMessage(messageId) {
+  const redisClient = getRedisClient();
+  const payloadKey = `${PAYLOAD_KEY_PREFIX}${messageId}`;
+
+  const payload = await redisClient.get(payloadKey);
+  if (!payload) {
+    logger.warn("Scheduled message payload missing, dropping", { messageId });
+    await redisClient.zRem(SCHEDULE_KEY, messageId);
+    return;
+  }
+
+  const message = JSON.parse(payload);
+
+  try {
+    // The recipient may have opted out since the message was scheduled
+    const block = await checkSuppression(message.tenantId, message);
+    if (block) {
+      await dropSuppressedMessage(message, block);
+      return;
+    }
+
+    // Marked queued first: delivery only picks up messages whose status can
+    // move on to processing, and it may get this one before we return
+    await markScheduledMessageQueued(messageId);
+    await routeMessage({ ...message, status: "queued" });
+    await redisClient
+      .multi()
+      .zRem(SCHEDULE_KEY, messageId)
+      .del(payloadKey)
+      .exec();
+
+    logger.info("Scheduled message released", {
+      traceId: message.traceId,
+      messageId,
+      channel: message.channel,
+      sendAt: message.sendAt,
+    });
+  } catch (error) {
+    // Leave the entry leased; it is retried once the lease expires
+    logger.error("Failed to release scheduled message", {
+      traceId: message.traceId,
+      messageId,
+      error: error.message,
+    });
+  }
+}
+
+async function dropSuppressedMessage(message, block) {
+  const redisClient = getRedisClient();
+  const { tenantId, traceId, messageId, channel } = message;
+  const reason = block.suppressionReason || block.reason;
+
+  await redisClient
+    .multi()
+    .zRem(SCHEDULE_KEY, messageId)
+    .del(`${PAYLOAD_KEY_PREFIX}${messageId}`)
+    .exec();
+  await markScheduledMessageSuppressed(messageId, reason);
+
+  await sendLogs([
+    {
+      service: "router",
+      level: "info",
+      message: "Scheduled message suppressed",
+      status: "suppressed",
+      tenantId,
+      traceId,
+      messageId,
+      channel,
+      reason,
+      timestamp: new Date().toISOString(),
+    },
+  ]);
+
+  logger.info("Scheduled message suppressed", {
+    traceId,
+    messageId,
+    channel,
+    reason,
+  });
+}
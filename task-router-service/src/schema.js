@@ -1,18 +1,140 @@
 export const typeDefs = `#graphql
   type Query {
     health: String!
+    template(templateId: String!): Template
+    templates(includeArchived: Boolean): [Template!]!
+    batchStatus(batchId: String!): BatchStatus
+    message(id: String!): Message
+    messagesByTrace(traceId: String!): [Message!]!
+    messages(
+      filter: MessageFilter
+      first: Int
+      after: String
+    ): MessageConnection!
+    apiKeys: [ApiKey!]!
+    recipientPreferences(recipient: String!): RecipientPreferences
+    suppressions(
+      reason: SuppressionReason
+      limit: Int
+    ): [RecipientPreferences!]!
+    "Signed link that opts the recipient out of the category (or channel)"
+    unsubscribeUrl(
+      recipient: String!
+      channel: Channel!
+      category: String
+    ): String!
   }
 
   type Mutation {
     sendMessage(input: MessageInput!): MessageResponse!
+    sendBulkMessages(inputs: [MessageInput!]!): BulkMessageResponse!
+    createTemplate(input: CreateTemplateInput!): Template!
+    updateTemplate(templateId: String!, input: UpdateTemplateInput!): Template!
+    createTemplateVersion(
+      templateId: String!
+      variants: TemplateVariantsInput!
+    ): Template!
+    archiveTemplate(templateId: String!): Template!
+    createApiKey(input: CreateApiKeyInput!): CreatedApiKey!
+    revokeApiKey(keyId: String!): ApiKey!
+    setRecipientPreferences(
+      input: RecipientPreferencesInput!
+    ): RecipientPreferences!
+    suppressRecipient(
+      recipient: String!
+      reason: SuppressionReason!
+      note: String
+    ): RecipientPreferences!
+    unsuppressRecipient(recipient: String!): RecipientPreferences!
+    deleteRecipientPreferences(recipient: String!): Boolean!
+  }
+
+  type Subscription {
+    messageStatusChanged(messageId: String!): MessageStatusEvent!
+    traceEvents(traceId: String!): TraceEvent!
   }
 
   input MessageInput {
     channel: Channel!
     recipient: String!
     subject: String
-    body: String!
+    body: String
+    templateId: String
+    templateVersion: Int
+    variables: JSON
     metadata: JSON
+    "Preference category, e.g. marketing; recipients can opt out per category"
+    category: String
+    "ISO-8601 timestamp; messages with a future sendAt are held until due"
+    sendAt: String
+    "Client-chosen key; retries with the same key return the original message"
+    idempotencyKey: String
+    "Channels to try, in order, when delivery on the previous one fails"
+    fallback: [FallbackStepInput!]
+    "Queue lane; critical messages never wait behind bulk sends. Defaults to normal"
+    priority: Priority
+  }
+
+  enum Priority {
+    critical
+    normal
+    bulk
+  }
+
+  input FallbackStepInput {
+    channel: Channel!
+    recipient: String!
+    "Defaults to the message's subject, or the template's variant"
+    subject: String
+    "Defaults to the message's body, or the template's variant"
+    body: String
+    "Also fall back when the previous step is not delivered within this time"
+    timeoutSeconds: Int
+  }
+
+  input CreateTemplateInput {
+    name: String!
+    description: String
+    variants: TemplateVariantsInput!
+  }
+
+  input UpdateTemplateInput {
+    name: String
+    description: String
+  }
+
+  input TemplateVariantsInput {
+    email: EmailVariantInput
+    sms: TextVariantInput
+    whatsapp: TextVariantInput
+  }
+
+  input EmailVariantInput {
+    subject: String!
+    body: String!
+  }
+
+  input TextVariantInput {
+    text: String!
+  }
+
+  input RecipientPreferencesInput {
+    recipient: String!
+    "Replaces the opted-out channels when given"
+    optedOutChannels: [Channel!]
+    "Replaces the opted-out categories when given"
+    optedOutCategories: [String!]
+  }
+
+  input CreateApiKeyInput {
+    name: String!
+    scopes: [ApiKeyScope!]!
+  }
+
+  enum ApiKeyScope {
+    send
+    read
+    admin
   }
 
   enum Channel {
@@ -21,11 +143,276 @@ export const typeDefs = `#graphql
     whatsapp
   }
 
+  input MessageFilter {
+    channel: Channel
+    status: MessageStatus
+    priority: Priority
+    recipient: String
+    traceId: String
+    batchId: String
+    templateId: String
+    "ISO-8601 lower bound on createdAt"
+    createdFrom: String
+    "ISO-8601 upper bound on createdAt"
+    createdTo: String
+  }
+
+  enum MessageStatus {
+    scheduled
+    queued
+    processing
+    "Accepted by the provider, awaiting a delivery receipt"
+    sent
+    delivered
+    read
+    failed
+    bounced
+    undeliverable
+    suppressed
+  }
+
+  enum SuppressionReason {
+    hard_bounce
+    complaint
+    invalid_recipient
+    manual
+  }
+
+  enum TemplateStatus {
+    active
+    archived
+  }
+
   type MessageResponse {
     success: Boolean!
     messageId: String
     traceId: String!
+    batchId: String
     message: String!
+    "Status of the accepted (or, for duplicates, the original) message"
+    status: MessageStatus
+    "True when the send repeated an earlier request and nothing new was sent"
+    duplicate: Boolean
+    "Set when the send was rejected, e.g. RATE_LIMITED, SUPPRESSED or IDEMPOTENCY_KEY_REUSED"
+    errorCode: String
+    "Why a SUPPRESSED send was blocked: a suppression reason, opted_out_channel or opted_out_category"
+    suppressionReason: String
+    "Seconds to wait before retrying a rate-limited send"
+    retryAfter: Int
+  }
+
+  type BulkMessageResponse {
+    batchId: String!
+    total: Int!
+    accepted: Int!
+    "Items that repeated an earlier request and were not sent again"
+    duplicates: Int!
+    rejected: Int!
+    results: [MessageResponse!]!
+  }
+
+  type BatchStatus {
+    batchId: String!
+    total: Int!
+    accepted: Int!
+    rejected: Int!
+    scheduled: Int!
+    queued: Int!
+    processing: Int!
+    sent: Int!
+    delivered: Int!
+    read: Int!
+    failed: Int!
+    bounced: Int!
+    undeliverable: Int!
+    suppressed: Int!
+    createdAt: String!
+  }
+
+  type Message {
+    messageId: String!
+    traceId: String!
+    channel: Channel!
+    recipient: String!
+    subject: String
+    body: String!
+    metadata: JSON
+    category: String
+    status: MessageStatus!
+    templateId: String
+    templateVersion: Int
+    batchId: String
+    priority: Priority
+    scheduledFor: String
+    provider: String
+    sentAt: String
+    deliveredAt: String
+    readAt: String
+    failedAt: String
+    errorCode: String
+    errorMessage: String
+    retryCount: Int!
+    "Fallback chain after the original channel; step n is fallback[n - 1]"
+    fallback: [FallbackStep!]
+    "Step of the fallback chain being attempted, 0 for the original channel"
+    fallbackStep: Int
+    "Earlier steps of the fallback chain and how they ended"
+    channelAttempts: [ChannelAttempt!]
+    "Append-only status history, oldest first"
+    events: [MessageEvent!]
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  type FallbackStep {
+    channel: Channel!
+    recipient: String!
+    timeoutSeconds: Int
+  }
+
+  type MessageEvent {
+    "A status, or attempt, retry_scheduled, dead_lettered or fallback"
+    type: String!
+    at: String!
+    "router, delivery or receipt"
+    source: String
+    subtraceId: String
+    channel: Channel
+    provider: String
+    providerMessageId: String
+    "Provider response for attempts"
+    response: JSON
+    errorCode: String
+    error: String
+    retryCount: Int
+    detail: JSON
+  }
+
+  type ChannelAttempt {
+    step: Int!
+    channel: Channel!
+    recipient: String!
+    status: MessageStatus!
+    provider: String
+    providerMessageId: String
+    errorCode: String
+    error: String
+    "failed, bounced, undeliverable or timeout"
+    reason: String!
+    startedAt: String
+    endedAt: String!
+  }
+
+  type MessageConnection {
+    edges: [MessageEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type MessageEdge {
+    cursor: String!
+    node: Message!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    endCursor: String
+  }
+
+  type MessageStatusEvent {
+    messageId: String!
+    traceId: String!
+    channel: Channel
+    status: MessageStatus!
+    retryCount: Int
+    error: String
+    timestamp: String!
+  }
+
+  type TraceEvent {
+    service: String
+    level: String
+    message: String
+    traceId: String!
+    subtraceId: String
+    messageId: String
+    channel: Channel
+    status: String
+    error: String
+    timestamp: String!
+    "The raw log event"
+    data: JSON
+  }
+
+  type Template {
+    templateId: String!
+    name: String!
+    description: String
+    status: TemplateStatus!
+    currentVersion: Int!
+    versions: [TemplateVersion!]!
+    archivedAt: String
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  type TemplateVersion {
+    version: Int!
+    variants: TemplateVariants!
+    variables: [String!]!
+    createdAt: String!
+  }
+
+  type TemplateVariants {
+    email: EmailVariant
+    sms: TextVariant
+    whatsapp: TextVariant
+  }
+
+  type EmailVariant {
+    subject: String!
+    body: String!
+  }
+
+  type TextVariant {
+    text: String!
+  }
+
+  type RecipientPreferences {
+    recipient: String!
+    optedOutChannels: [Channel!]!
+    optedOutCategories: [String!]!
+    suppression: Suppression
+    createdAt: String
+    updatedAt: String
+  }
+
+  type Suppression {
+    reason: SuppressionReason!
+    note: String
+    suppressedAt: String
+  }
+
+  type ApiKey {
+    keyId: String!
+    tenantId: String!
+    name: String!
+    "First characters of the key, for identification"
+    keyPrefix: String!
+    scopes: [ApiKeyScope!]!
+    revokedAt: String
+    createdAt: String!
+  }
+
+  type CreatedApiKey {
+    keyId: String!
+    tenantId: String!
+    name: String!
+    keyPrefix: String!
+    scopes: [ApiKeyScope!]!
+    createdAt: String!
+    "The plaintext key; it is only returned once"
+    apiKey: String!
   }
 
   scalar JSON
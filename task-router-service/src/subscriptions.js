@@ -0,0 +1,111 @@
+import { LOG_TOPIC, readLogEvent } from "@communication-aggregator/shared";
+import { PubSub } from "graphql-subscriptions";
+import { Kafka } from "kafkajs";
+import { hostname } from "os";
+import { logger } from "./logger.js";
+
+const KAFKA_BROKER = process.env.KAFKA_BROKER || "localhost:9092";
+
+// Every router instance must see every event to serve its own WebSocket
+// clients, so each instance consumes in a group of its own, named after the
+// instance (the pod name under Kubernetes) so a restart rejoins it.
+const INSTANCE_ID = process.env.INSTANCE_ID || hostname();
+const KAFKA_GROUP_ID = `task-router-subscriptions-${INSTANCE_ID}`;
+
+export const pubsub = new PubSub();
+
+let consumer;
+
+// Topics are per tenant so a subscriber only sees its own tenant's events
+export const messageStatusTopic = (tenantId, messageId) =>
+  `MESSAGE_STATUS:${tenantId}:${messageId}`;
+export const traceEventsTopic = (tenantId, traceId) =>
+  `TRACE_EVENTS:${tenantId}:${traceId}`;
+
+export async function initializeEventConsumer() {
+  try {
+    const kafka = new Kafka({
+      clientId: "task-router-service",
+      brokers: [KAFKA_BROKER],
+      retry: {
+        initialRetryTime: 100,
+        retries: 8,
+      },
+    });
+
+    consumer = kafka.consumer({
+      groupId: KAFKA_GROUP_ID,
+      sessionTimeout: 30000,
+      heartbeatInterval: 3000,
+    });
+
+    await consumer.connect();
+    await consumer.subscribe({ topic: LOG_TOPIC, fromBeginning: false });
+
+    // Only live events matter, so offsets are never committed: the group
+    // starts from the latest event on every start, and the broker drops it
+    // once the instance is gone instead of keeping its offsets
+    await consumer.run({
+      autoCommit: false,
+      eachMessage: async ({ message }) => {
+        try {
+          await publishLogEvent(
+            readLogEvent(JSON.parse(message.value.toString()))
+          );
+        } catch (error) {
+          logger.error("Failed to publish subscription event", {
+            error: error.message,
+          });
+        }
+      },
+    });
+
+    logger.info("Subscription event consumer started", {
+      topic: LOG_TOPIC,
+      groupId: KAFKA_GROUP_ID,
+    });
+  } catch (error) {
+    logger.error("Failed to initialize subscription event consumer", {
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+export async function closeEventConsumer() {
+  if (consumer) await consumer.disconnect();
+}
+
+async function publishLogEvent(logData) {
+  const { tenantId, traceId, messageId, status } = logData;
+  if (!tenantId || !traceId) return;
+
+  const event = {
+    service: logData.service,
+    level: logData.level,
+    message: logData.message,
+    traceId,
+    subtraceId: logData.subtraceId,
+    messageId,
+    channel: logData.channel,
+    status,
+    error: logData.error,
+    timestamp: logData.timestamp,
+    data: logData,
+  };
+
+  await pubsub.publish(traceEventsTopic(tenantId, traceId), event);
+
+  // Only events that carry a status describe a message state change
+  if (messageId && status) {
+    await pubsub.publish(messageStatusTopic(tenantId, messageId), {
+      messageId,
+      traceId,
+      channel: logData.channel,
+      status,
+      retryCount: logData.retryCount,
+      error: logData.error,
+      timestamp: event.timestamp,
+    });
+  }
+}
@@ -0,0 +1,299 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import { logger } from "./logger.js";
+
+const VARIABLE_PATTERN = /{{\s*([a-zA-Z0-9_.]+)\s*}}/g;
+// Attempts at adding a version while other versions are being added
+const VERSION_CONFLICT_RETRIES = 5;
+
+// Template Schema
+const variantsSchema = new mongoose.Schema(
+  {
+    email: {
+      subject: String,
+      body: String,
+    },
+    sms: {
+      text: String,
+    },
+    whatsapp: {
+      text: String,
+    },
+  },
+  { _id: false }
+);
+
+const templateVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    variants: { type: variantsSchema, required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const templateSchema = new mongoose.Schema({
+  templateId: { type: String, required: true, unique: true },
+  tenantId: { type: String, required: true, index: true },
+  name: { type: String, required: true },
+  description: String,
+  status: {
+    type: String,
+    required: true,
+    enum: ["active", "archived"],
+    default: "active",
+  },
+  currentVersion: { type: Number, required: true, default: 1 },
+  versions: [templateVersionSchema],
+  archivedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+const Template = mongoose.model("Template", templateSchema);
+
+export async function createTemplate(
+  tenantId,
+  { name, description, variants }
+) {
+  validateVariants(variants);
+
+  const template = await Template.create({
+    templateId: `tpl_${uuidv4()}`,
+    tenantId,
+    name,
+    description,
+    currentVersion: 1,
+    versions: [{ version: 1, variants }],
+  });
+
+  logger.info("Template created", {
+    templateId: template.templateId,
+    tenantId,
+    name,
+  });
+
+  return toTemplate(template);
+}
+
+export async function updateTemplate(
+  tenantId,
+  templateId,
+  { name, description }
+) {
+  const update = { updatedAt: new Date() };
+  if (name !== undefined && name !== null) update.name = name;
+  if (description !== undefined) update.description = description;
+
+  const template = await Template.findOneAndUpdate(
+    { templateId, tenantId, status: "active" },
+    update,
+    { new: true }
+  );
+
+  if (!template) {
+    throw new Error(`Active template not found: ${templateId}`);
+  }
+
+  logger.info("Template updated", { templateId });
+
+  return toTemplate(template);
+}
+
+// Adds the next version with a conditional update on the version it was
+// based on. A concurrent update that got there first makes the update miss,
+// and it is retried on top of the new version.
+export async function createTemplateVersion(tenantId, templateId, variants) {
+  validateVariants(variants);
+
+  for (let attempt = 0; attempt < VERSION_CONFLICT_RETRIES; attempt++) {
+    const current = await Template.findOne(
+      { templateId, tenantId, status: "active" },
+      { currentVersion: 1 }
+    ).lean();
+    if (!current) {
+      throw new Error(`Active template not found: ${templateId}`);
+    }
+
+    const version = current.currentVersion + 1;
+    const template = await Template.findOneAndUpdate(
+      {
+        templateId,
+        tenantId,
+        status: "active",
+        currentVersion: current.currentVersion,
+      },
+      {
+        $set: { currentVersion: version, updatedAt: new Date() },
+        $push: { versions: { version, variants } },
+      },
+      { new: true }
+    );
+
+    if (template) {
+      logger.info("Template version created", { templateId, version });
+      return toTemplate(template);
+    }
+  }
+
+  throw new Error(
+    `Template ${templateId} is being updated concurrently, try again`
+  );
+}
+
+export async function archiveTemplate(tenantId, templateId) {
+  const template = await Template.findOneAndUpdate(
+    { templateId, tenantId },
+    { status: "archived", archivedAt: new Date(), updatedAt: new Date() },
+    { new: true }
+  );
+
+  if (!template) {
+    throw new Error(`Template not found: ${templateId}`);
+  }
+
+  logger.info("Template archived", { templateId });
+
+  return toTemplate(template);
+}
+
+export async function getTemplate(tenantId, templateId) {
+  const template = await Template.findOne({ templateId, tenantId });
+  return template ? toTemplate(template) : null;
+}
+
+export async function listTemplates(
+  tenantId,
+  { includeArchived = false } = {}
+) {
+  const filter = includeArchived
+    ? { tenantId }
+    : { tenantId, status: "active" };
+  const templates = await Template.find(filter).sort({ createdAt: -1 });
+  return templates.map(toTemplate);
+}
+
+// Loads the tenant's templates with the given IDs (every version of each) in
+// one query, keyed by templateId. IDs may repeat or be empty.
+export async function loadTemplates(tenantId, templateIds) {
+  const ids = [...new Set(templateIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const templates = await Template.find({
+    tenantId,
+    templateId: { $in: ids },
+  }).lean();
+  return new Map(templates.map((template) => [template.templateId, template]));
+}
+
+// Renders the channel variant of a template from loadTemplates(). Throws when
+// the template is missing or archived, has no variant for the channel or a
+// variable is missing.
+export function renderTemplate(
+  templates,
+  templateId,
+  channel,
+  variables = {},
+  version
+) {
+  const template = templates.get(templateId);
+  if (!template) {
+    throw new Error(`Template not found: ${templateId}`);
+  }
+
+  if (template.status === "archived") {
+    throw new Error(`Template is archived: ${templateId}`);
+  }
+
+  const targetVersion = version || template.currentVersion;
+  const templateVersion = template.versions.find(
+    (v) => v.version === targetVersion
+  );
+  if (!templateVersion) {
+    throw new Error(`Template ${templateId} has no version ${targetVersion}`);
+  }
+
+  const variant = templateVersion.variants?.[channel];
+  const fields = channel === "email" ? ["subject", "body"] : ["text"];
+  if (!variant || !fields.every((field) => variant[field])) {
+    throw new Error(`Template ${templateId} has no ${channel} variant`);
+  }
+
+  const missing = new Set();
+  for (const field of fields) {
+    for (const name of extractVariables(variant[field])) {
+      if (resolveVariable(variables, name) === undefined) missing.add(name);
+    }
+  }
+
+  if (missing.size > 0) {
+    throw new Error(`Missing template variables: ${[...missing].join(", ")}`);
+  }
+
+  const render = (text) =>
+    text.replace(VARIABLE_PATTERN, (_, name) =>
+      String(resolveVariable(variables, name))
+    );
+
+  return {
+    subject: channel === "email" ? render(variant.subject) : undefined,
+    body: render(channel === "email" ? variant.body : variant.text),
+    templateId,
+    templateVersion: targetVersion,
+  };
+}
+
+function validateVariants(variants) {
+  if (!variants || (!variants.email && !variants.sms && !variants.whatsapp)) {
+    throw new Error("At least one channel variant is required");
+  }
+
+  if (variants.email && (!variants.email.subject || !variants.email.body)) {
+    throw new Error("Email variant requires subject and body");
+  }
+
+  if (variants.sms && !variants.sms.text) {
+    throw new Error("SMS variant requires text");
+  }
+
+  if (variants.whatsapp && !variants.whatsapp.text) {
+    throw new Error("WhatsApp variant requires text");
+  }
+}
+
+function extractVariables(text) {
+  return [...text.matchAll(VARIABLE_PATTERN)].map((match) => match[1]);
+}
+
+// Supports dotted paths such as {{order.id}}
+function resolveVariable(variables, name) {
+  return name
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== undefined && value !== null ? value[key] : undefined,
+      variables
+    );
+}
+
+function toTemplate(doc) {
+  const template = doc.toObject();
+  return {
+    ...template,
+    createdAt: template.createdAt?.toISOString(),
+    updatedAt: template.updatedAt?.toISOString(),
+    archivedAt: template.archivedAt?.toISOString(),
+    versions: template.versions.map((v) => ({
+      ...v,
+      createdAt: v.createdAt?.toISOString(),
+      variables: [
+        ...new Set(
+          Object.values(v.variants || {})
+            .flatMap((variant) => Object.values(variant || {}))
+            .filter((text) => typeof text === "string")
+            .flatMap(extractVariables)
+        ),
+      ],
+    })),
+  };
+}
@@ -0,0 +1,43 @@
+import {
+  SpanKind,
+  createTracing,
+  injectContext,
+} from "@communication-aggregator/shared";
+import { ROOT_CONTEXT, trace } from "@opentelemetry/api";
+
+export const { tracer, initTracing, shutdownTracing, withSpan } = createTracing(
+  "task-router-service"
+);
+
+// Wraps a GraphQL resolver in a server span that continues the trace of the
+// incoming request (context.traceContext)
+export function tracedResolver(name, resolve) {
+  return (parent, args, ctx, info) =>
+    withSpan(
+      `graphql ${name}`,
+      {
+        kind: SpanKind.SERVER,
+        attributes: { "graphql.operation.name": name },
+      },
+      () => resolve(parent, args, ctx, info),
+      ctx.traceContext
+    );
+}
+
+// Starts a separate trace for one message of a bulk request, linked to the
+// request's span, so every message keeps its own trace ID. Returns the trace
+// ID and the W3C context the message carries on.
+export function startMessageTrace(name, attributes) {
+  const parent = trace.getActiveSpan();
+  const span = tracer.startSpan(name, {
+    root: true,
+    attributes,
+    links: parent ? [{ context: parent.spanContext() }] : [],
+  });
+  span.end();
+
+  return {
+    traceId: span.spanContext().traceId,
+    traceContext: injectContext(trace.setSpan(ROOT_CONTEXT, span)),
+  };
+}
@@ -0,0 +1,72 @@
+import { logger } from "./logger.js";
+import { optOut, verifyUnsubscribeToken } from "./preferences.js";
+
+// Unsubscribe links from messages. GET only shows a confirmation page, since
+// mail scanners and link prefetchers follow links on their own; the opt-out
+// happens on POST, from that page's button or as the one-click unsubscribe
+// (RFC 8058) mail clients send. The signed token is in the query either way.
+export function registerUnsubscribeRoutes(app) {
+  app.get("/unsubscribe", (req, res) => {
+    const token = verifyUnsubscribeToken(req.query.token);
+    if (!token) {
+      return res.status(400).send("Invalid unsubscribe link.");
+    }
+
+    // No action: the form posts back to this URL, token included
+    res.send(`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Unsubscribe</title>
+  </head>
+  <body>
+    <p>Unsubscribe ${escapeHtml(token.recipient)} from ${escapeHtml(
+      describeList(token)
+    )}?</p>
+    <form method="post">
+      <button type="submit">Unsubscribe</button>
+    </form>
+  </body>
+</html>`);
+  });
+
+  app.post("/unsubscribe", async (req, res) => {
+    try {
+      const token = verifyUnsubscribeToken(req.query.token);
+      if (!token) {
+        return res.status(400).send("Invalid unsubscribe link.");
+      }
+
+      const { tenantId, recipient, channel, category } = token;
+      await optOut(tenantId, recipient, { channel, category });
+
+      res.send(
+        `You have been unsubscribed from ${escapeHtml(describeList(token))}.`
+      );
+    } catch (error) {
+      logger.error("Error processing unsubscribe", { error: error.message });
+      res.status(500).send("Something went wrong, please try again later.");
+    }
+  });
+
+  app.all("/unsubscribe", (req, res) => res.sendStatus(405));
+}
+
+function describeList({ channel, category }) {
+  return category ? `${category} messages` : `${channel} messages`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+}
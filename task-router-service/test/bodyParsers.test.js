@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { hashApiKey } from "@communication-aggregator/shared";
+import express from "express";
+import mongoose from "mongoose";
+import { useBodyParsers } from "../src/bodyParsers.js";
+import { MAX_BULK_SIZE } from "../src/resolvers.js";
+
+// A sendBulkMessages request of `count` emails with a 1KB body each
+function bulkRequest(count) {
+  const input = {
+    channel: "email",
+    recipient: "user@example.com",
+    subject: "Your weekly summary",
+    body: "x".repeat(1024),
+    category: "newsletter",
+  };
+  return {
+    query:
+      "mutation ($inputs: [MessageInput!]!) { sendBulkMessages(inputs: $inputs) { success } }",
+    variables: { inputs: Array.from({ length: count }, () => input) },
+  };
+}
+
+const SEND_KEY = "cak_send";
+const READ_KEY = "cak_read";
+
+mongoose.model("ApiKey").findOne = async ({ keyHash }) => {
+  if (keyHash === hashApiKey(SEND_KEY)) {
+    return { keyId: "key_send", tenantId: "tenant_a", scopes: ["send"] };
+  }
+  if (keyHash === hashApiKey(READ_KEY)) {
+    return { keyId: "key_read", tenantId: "tenant_a", scopes: ["read"] };
+  }
+  return null;
+};
+
+async function withServer(run) {
+  const app = express();
+  useBodyParsers(app);
+  app.post("*", (req, res) => {
+    res.json({ count: req.body.variables?.inputs?.length ?? 0 });
+  });
+
+  const server = app.listen(0);
+  try {
+    await run(`http://localhost:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+function post(url, body, apiKey) {
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      ...(apiKey && { authorization: `Bearer ${apiKey}` }),
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+test("a sendBulkMessages call of MAX_BULK_SIZE items is accepted", async () => {
+  await withServer(async (baseUrl) => {
+    const response = await post(
+      `${baseUrl}/graphql`,
+      bulkRequest(MAX_BULK_SIZE),
+      SEND_KEY
+    );
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { count: MAX_BULK_SIZE });
+  });
+});
+
+test("other routes keep the default body limit", async () => {
+  await withServer(async (baseUrl) => {
+    const response = await post(`${baseUrl}/unsubscribe`, bulkRequest(200));
+
+    assert.equal(response.status, 413);
+  });
+});
+
+test("GraphQL bodies without a send key keep the default limit", async () => {
+  await withServer(async (baseUrl) => {
+    for (const apiKey of [undefined, "cak_unknown", READ_KEY]) {
+      const response = await post(
+        `${baseUrl}/graphql`,
+        bulkRequest(200),
+        apiKey
+      );
+
+      assert.equal(response.status, 413);
+    }
+  });
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildSchema } from "graphql";
+import {
+  QUEUE_MESSAGE_VERSION,
+  loadSchema,
+} from "@communication-aggregator/shared";
+import { typeDefs } from "../src/schema.js";
+
+// MessageInput is spread into the queued message (see resolvers.js), so every
+// input field needs a place in the queue message schema
+const graphqlSchema = buildSchema(typeDefs);
+const queueMessage = loadSchema(`queue-message.v${QUEUE_MESSAGE_VERSION}`);
+
+function inputFields(name) {
+  return Object.keys(graphqlSchema.getType(name).getFields());
+}
+
+function enumValues(name) {
+  return graphqlSchema
+    .getType(name)
+    .getValues()
+    .map(({ value }) => value);
+}
+
+test("every MessageInput field is part of the queue message", () => {
+  for (const field of inputFields("MessageInput")) {
+    assert.ok(
+      field in queueMessage.properties,
+      `MessageInput.${field} is missing from the queue message schema`
+    );
+  }
+});
+
+test("every FallbackStepInput field is part of a fallback step", () => {
+  const step = queueMessage.definitions.fallbackStep.properties;
+  for (const field of inputFields("FallbackStepInput")) {
+    assert.ok(
+      field in step,
+      `FallbackStepInput.${field} is missing from the queue message schema`
+    );
+  }
+});
+
+test("channels and priorities match the GraphQL enums", () => {
+  assert.deepEqual(
+    queueMessage.definitions.channel.enum,
+    enumValues("Channel")
+  );
+  assert.deepEqual(
+    queueMessage.properties.priority.enum,
+    enumValues("Priority")
+  );
+});
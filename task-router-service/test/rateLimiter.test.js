@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { register } from "node:module";
+import { beforeEach, test } from "node:test";
+
+// Redis is the in-memory fake of the stub router
+register("./stubs/hooks.js", import.meta.url);
+
+const { resetRouter } = await import("./stubs/router.js");
+const { checkRateLimits } = await import("../src/rateLimiter.js");
+
+beforeEach(resetRouter);
+
+function emails(tenantId, clientId, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    tenantId,
+    clientId,
+    channel: "email",
+    recipient: `user${i}@example.com`,
+  }));
+}
+
+test("a 5,000-email bulk send passes the default limits", async () => {
+  const errors = await checkRateLimits(emails("tenant_a", "key_a", 5000));
+
+  assert.equal(errors.filter(Boolean).length, 0);
+});
+
+test("one tenant's burst leaves other tenants' limits untouched", async () => {
+  await checkRateLimits(emails("tenant_a", "key_a", 5000));
+
+  const errors = await checkRateLimits(emails("tenant_b", "key_b", 500));
+
+  assert.equal(errors.filter(Boolean).length, 0);
+});
+
+test("the per-recipient limit still rejects repeated sends", async () => {
+  const request = {
+    tenantId: "tenant_a",
+    clientId: "key_a",
+    channel: "sms",
+    recipient: "+14155550100",
+  };
+  const errors = await checkRateLimits(
+    Array.from({ length: 6 }, () => request)
+  );
+
+  assert.deepEqual(
+    errors.map((error) => error?.scope ?? null),
+    [null, null, null, null, null, "recipient"]
+  );
+});
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { register } from "node:module";
+import { beforeEach, test } from "node:test";
+import mongoose from "mongoose";
+
+register("./stubs/hooks.js", import.meta.url);
+
+process.env.UNSUBSCRIBE_SECRET = "test-secret-0123456789abcdef0123456789";
+process.env.OTEL_TRACES_EXPORTER = "none";
+
+const { resetRouter, routed } = await import("./stubs/router.js");
+const { resolvers } = await import("../src/resolvers.js");
+const { initTracing } = await import("../src/tracing.js");
+
+initTracing();
+
+// No opt-outs or suppressions are stored
+mongoose.model("RecipientPreference").find = () => ({ lean: async () => [] });
+
+const context = {
+  auth: { keyId: "key_a", tenantId: "tenant_a", scopes: ["send"] },
+};
+
+function sendMessage(input) {
+  return resolvers.Mutation.sendMessage({}, { input }, context, {});
+}
+
+beforeEach(resetRouter);
+
+test("sendMessage routes the message in its own trace", async () => {
+  const response = await sendMessage({
+    channel: "sms",
+    recipient: "+14155550100",
+    body: "Your code is 123456",
+  });
+
+  assert.equal(response.success, true, response.message);
+  assert.equal(response.status, "queued");
+
+  const [message] = routed;
+  assert.equal(message.messageId, response.messageId);
+  assert.match(
+    message.traceContext.traceparent,
+    new RegExp(`^00-${response.traceId}-`)
+  );
+});
+
+test("sendMessage rejects sends past the recipient limit", async () => {
+  const input = { channel: "sms", recipient: "+14155550100", body: "Hi" };
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await sendMessage(input)).success, true);
+  }
+
+  await assert.rejects(sendMessage(input), (error) => {
+    assert.equal(error.extensions.code, "RATE_LIMITED");
+    return true;
+  });
+  assert.equal(routed.length, 5);
+});
@@ -0,0 +1,10 @@
+// Module hooks that swap src/router.js for the stub next to this file, so
+// tests run the modules that use RabbitMQ, Redis and Kafka without them.
+// Register before importing anything from src:
+//   register("./stubs/hooks.js", import.meta.url);
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  if (!resolved.url.endsWith("/src/router.js")) return resolved;
+
+  return { ...resolved, url: new URL("./router.js", import.meta.url).href };
+}
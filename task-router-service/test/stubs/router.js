@@ -0,0 +1,87 @@
+// Stand-in for src/router.js (see hooks.js). Routed messages and sent logs
+// are recorded, and Redis is an in-memory fake of the commands the router's
+// callers use.
+export const routed = [];
+export const logs = [];
+
+let redis = fakeRedis();
+
+export function resetRouter() {
+  routed.length = 0;
+  logs.length = 0;
+  redis = fakeRedis();
+}
+
+export async function initializeConnections() {}
+
+export async function closeConnections() {}
+
+export const connectionProbes = {};
+
+export async function routeMessage(message) {
+  routed.push(message);
+}
+
+export async function routeMessages(messages) {
+  routed.push(...messages);
+  return messages.map(({ messageId }) => ({ messageId, error: null }));
+}
+
+export async function publishToQueue() {}
+
+export function getRedisClient() {
+  return redis;
+}
+
+export async function sendLogs(logEntries) {
+  logs.push(...logEntries);
+}
+
+// Plain keys and the rate limiter's sliding window script, which keeps one
+// sorted set (here an array of scores) per key
+function fakeRedis() {
+  const values = new Map();
+  const sets = new Map();
+
+  const slidingWindow = ({ keys, arguments: args }) => {
+    const now = Number(args[0]);
+    const limits = keys.map((key, i) => {
+      const window = Number(args[3 + i * 2]);
+      const scores = (sets.get(key) || []).filter((at) => at > now - window);
+      sets.set(key, scores);
+      return { count: Number(args[2 + i * 2]), scores };
+    });
+
+    const blocked = limits.findIndex(
+      ({ count, scores }) => scores.length >= count
+    );
+    if (blocked >= 0) return [blocked + 1, 1000];
+
+    for (const { scores } of limits) scores.push(now);
+    return [0, 0];
+  };
+
+  return {
+    async get(key) {
+      return values.get(key) ?? null;
+    },
+    async set(key, value) {
+      values.set(key, value);
+      return "OK";
+    },
+    multi() {
+      const commands = [];
+      return {
+        eval(_, options) {
+          commands.push(() => slidingWindow(options));
+        },
+        set(key, value) {
+          commands.push(() => values.set(key, value) && "OK");
+        },
+        async execAsPipeline() {
+          return commands.map((command) => command());
+        },
+      };
+    },
+  };
+}
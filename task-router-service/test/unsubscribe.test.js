@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import express from "express";
+import mongoose from "mongoose";
+
+process.env.UNSUBSCRIBE_SECRET = "test-secret-0123456789abcdef0123456789";
+const { assertUnsubscribeSecret, createUnsubscribeUrl } = await import(
+  "../src/preferences.js"
+);
+const { registerUnsubscribeRoutes } = await import("../src/unsubscribe.js");
+
+// Opt-outs are recorded here instead of in MongoDB
+const optOuts = [];
+mongoose.model("RecipientPreference").findOneAndUpdate = (filter) => ({
+  lean: async () => {
+    optOuts.push(filter);
+    return { ...filter, optedOutChannels: [], optedOutCategories: [] };
+  },
+});
+
+let baseUrl;
+before(() => {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  registerUnsubscribeRoutes(app);
+  const server = app.listen(0).unref();
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+function unsubscribePath() {
+  const url = new URL(
+    createUnsubscribeUrl({
+      tenantId: "tenant_a",
+      recipient: "user@example.com",
+      channel: "email",
+      category: "newsletter",
+    })
+  );
+  return `${url.pathname}${url.search}`;
+}
+
+test("following the link only shows a confirmation page", async () => {
+  optOuts.length = 0;
+  const response = await fetch(`${baseUrl}${unsubscribePath()}`);
+
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /<form method="post">/);
+  assert.equal(optOuts.length, 0);
+});
+
+test("a one-click POST opts the recipient out", async () => {
+  optOuts.length = 0;
+  const response = await fetch(`${baseUrl}${unsubscribePath()}`, {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded" },
+    body: "List-Unsubscribe=One-Click",
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(optOuts, [
+    { tenantId: "tenant_a", recipient: "user@example.com" },
+  ]);
+});
+
+test("tampered tokens are rejected", async () => {
+  const response = await fetch(`${baseUrl}${unsubscribePath()}x`, {
+    method: "POST",
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test("a strong secret passes the startup check", () => {
+  assert.doesNotThrow(assertUnsubscribeSecret);
+});